@@ -31,6 +31,12 @@
  * @desc The text displayed on the OK button.
  * @default ✔
  * 
+ * @param CancelButtonText
+ * @type string
+ * @text Cancel Button Text
+ * @desc The text displayed on the cancel button, shown when a command allows cancelling.
+ * @default ✖
+ *
  * @param DefaultMaxLines
  * @type number
  * @min 1
@@ -39,6 +45,113 @@
  * @desc The default maximum number of lines for the text input.
  * @default 10
  *
+ * @param ClipboardMenu
+ * @type struct<ClipboardMenu>
+ * @text Clipboard Menu
+ * @desc Command names for the long-press clipboard menu on mobile.
+ * @default {"cut":"Cut","copy":"Copy","paste":"Paste","selectAll":"Select All"}
+ *
+ * @param VirtualKeyboard
+ * @type select
+ * @option Off
+ * @value off
+ * @option When a gamepad is used
+ * @value auto
+ * @option Always
+ * @value always
+ * @text Virtual Keyboard
+ * @desc When to show the on-screen keyboard for players without a physical or soft keyboard.
+ * @default auto
+ *
+ * @param VirtualKeyboardKeys
+ * @type struct<VirtualKeyboardKeys>
+ * @text Virtual Keyboard Keys
+ * @desc Labels of the special keys on the on-screen keyboard.
+ * @default {"page":"%1","space":"Space","backspace":"Back","newLine":"Enter","ok":"OK"}
+ *
+ * @param MaskCharacter
+ * @type string
+ * @text Mask Character
+ * @desc The character drawn in place of each typed character in masked (password) input.
+ * @default ●
+ *
+ * @param MaskRevealKey
+ * @type string
+ * @text Mask Reveal Key
+ * @desc Key that shows or hides the masked text, as a KeyboardEvent key name (e.g. F6). Leave empty to disable.
+ * @default F6
+ *
+ * @param MaskRevealIcon
+ * @type icon
+ * @text Mask Reveal Icon
+ * @desc Icon touched to show or hide the masked text, drawn at the top right of the input. 0 = no icon.
+ * @default 0
+ *
+ * @param RichTextToggleKey
+ * @type string
+ * @text Rich Text Toggle Key
+ * @desc Key that switches rich text input between the preview and the source, as a KeyboardEvent key name (e.g. F7). Empty = no key.
+ * @default F7
+ *
+ * @param CounterFormat
+ * @type string
+ * @text Counter Format
+ * @desc Counter under the text. %1 = lines, %2 = max lines, %3 = characters, %4 = max characters, %5 = words. e.g. \c[1]
+ * @default Lines %1/%2  Chars %3/%4  Words %5
+ *
+ * @param CounterWarningPercent
+ * @type number
+ * @min 1
+ * @max 100
+ * @text Counter Warning (%)
+ * @desc Counter numbers turn to the crisis color at this percentage of their limit, and the death color at the limit.
+ * @default 80
+ *
+ * @param UndoHistoryDepth
+ * @type number
+ * @min 0
+ * @max 1000
+ * @text Undo History Depth
+ * @desc How many edits can be undone with Ctrl+Z. Set to 0 to disable undo.
+ * @default 100
+ *
+ * @param ValidationMessages
+ * @type struct<ValidationMessages>
+ * @text Validation Messages
+ * @desc Messages shown under the OK button when the input fails validation.
+ * @default {"minLength":"Enter at least %1 characters.","maxLength":"Enter at most %1 characters.","characters":"Some characters are not allowed.","pattern":"The input is not in the expected format."}
+ *
+ * @param SubmitCommonEvent
+ * @type common_event
+ * @text Submit Common Event
+ * @desc Common event reserved when any input is confirmed. Commands can set their own. 0 = none.
+ * @default 0
+ *
+ * @param CancelCommonEvent
+ * @type common_event
+ * @text Cancel Common Event
+ * @desc Common event reserved when any input is cancelled. Commands can set their own. 0 = none.
+ * @default 0
+ *
+ * @param ChangeCommonEvent
+ * @type common_event
+ * @text Change Common Event
+ * @desc Common event run while the input is open, shortly after the player stops typing. 0 = none.
+ * @default 0
+ *
+ * @param ChangeTextVariable
+ * @type variable
+ * @text Change Text Variable
+ * @desc Variable set to the current text right before the Change Common Event runs. 0 = none.
+ * @default 0
+ *
+ * @param ChangeDelay
+ * @type number
+ * @min 1
+ * @text Change Delay (frames)
+ * @desc Frames without typing before the Change Common Event runs. 60 frames = 1 second.
+ * @default 20
+ *
  * @param EnableOkSound
  * @type boolean
  * @text Enable OK Sound
@@ -93,10 +206,35 @@
  *
  * Features:
  * - Multi-line text input with customizable maximum lines
+ * - Word wrapping that reflows the paragraph after every edit. Only Enter
+ *   creates a real newline in the stored text.
  * - Custom label text above the input field
  * - Using RPG Maker's Windows system for style consistency
  * - Mobile-friendly with proper keyboard support
  * - Cursor navigation using arrow keys or touch
+ * - Text selection with Shift+Arrow keys, mouse drag, double-click (word)
+ *   and triple-click (line)
+ * - Clipboard copy, cut and paste with Ctrl+C/X/V, or a long-press menu
+ *   on mobile. Pasted text is wrapped and cut off at the line limit.
+ * - Undo with Ctrl+Z and redo with Ctrl+Y or Ctrl+Shift+Z
+ * - Masked (password) input with an optional reveal key or icon
+ * - Number input with min/max clamping and Up/Down stepping
+ * - Answer checking with loose or fuzzy matching and limited attempts
+ * - Editing existing text loaded from a variable
+ * - On-screen keyboard for gamepad players and devices without a keyboard
+ * - Forms with several text, number and password fields in one scene
+ * - Scrollbar, mouse wheel and touch swipe scrolling for long text
+ * - Optional live line, character and word counter
+ * - Per-command window size, screen anchor and label placement
+ * - Overlay mode that opens the input over the map or battle
+ * - \TI[n,m] message escape that asks for text inside Show Text
+ * - TextInput.open() script call API returning a Promise
+ * - Common events on submit, on cancel and while typing
+ * - Dimmed placeholder hint while the input is empty
+ * - Rich text preview of color, icon and variable escapes
+ * - Text field editing keys: Home/End (Ctrl for the whole text), Delete,
+ *   Ctrl+Left/Right word jumps, Ctrl+Backspace/Delete word deletion and
+ *   PageUp/PageDown by visible page
  * - Variable storage for input text
  * - Customizable sound effects
  *
@@ -107,7 +245,61 @@
  *    - Parameters:
  *      - Variable ID: The game variable to store the input text
  *      - Label Text: The text shown above the input box
+ *      - Placeholder: A hint such as "e.g. Dear Mother..." drawn dimmed
+ *        while the input is empty and hidden as soon as the player types.
+ *        Escapes like \V[n], \N[n], \C[n] and \I[n] work here.
  *      - Max Lines: Maximum number of lines allowed (1-100)
+ *      - Allow Cancel: Lets the player back out with Escape, right-click,
+ *        gamepad B or the cancel button
+ *      - Cancel Value: Written to the variable when cancelled. Numbers are
+ *        stored as numbers. Leave empty to keep the variable unchanged.
+ *      - Cancelled Switch: Turned ON when cancelled, OFF when confirmed
+ *      - Edit Existing Text / Source Variable: Start with the current text
+ *        of the variable (or of the source variable) instead of an empty
+ *        box. Line breaks are kept and the text is rewrapped to the window.
+ *        The number 0, which an empty input stores, loads as empty text.
+ *      - Cursor Start: Put the cursor at the end or start of the loaded
+ *        text, or select all of it so typing replaces it
+ *      - Show Counter: Shows the lines, characters and words used in the
+ *        bottom row of the input, in the Counter Format. Numbers change
+ *        color as they near their limit. Max characters shows ∞ when the
+ *        command sets no limit.
+ *      - Rich Text Preview: Draw escapes such as \C[n], \I[n] and \V[n]
+ *        the way Show Text does while the player types. The cursor still
+ *        moves over every character of the source, and the Rich Text
+ *        Toggle Key switches between the preview and the source. Colors
+ *        and font changes last until the end of their line. The variable
+ *        stores the source.
+ *      - Window Width / Window Height: Size of the input box in pixels
+ *        (480) or percent of the screen (60%). Empty uses the Input Width
+ *        and Input Height parameters.
+ *      - Anchor: Place the windows at the center, top or bottom of the
+ *        screen, just above where the message window sits (so pictures of
+ *        the speaking character stay visible), or at a Custom X/Y.
+ *      - Label Placement: Draw the label above the input, to its left, or
+ *        inside the input as a title on its first row.
+ *      - Overlay on Map/Battle: Open the input on top of the map or battle
+ *        instead of a separate menu-like screen, so the scene stays in
+ *        view. Events, the player, the battle, its windows and the timer
+ *        are frozen and the event waits until the input is confirmed or
+ *        cancelled. Other scenes fall back to the separate screen.
+ *      - Submit / Cancel Common Event: Reserved when the input closes, so
+ *        it runs right after the input. 0 uses the plugin parameter.
+ *      - Change Common Event / Change Text Variable: Runs while the input
+ *        is open, once the player stops typing for Change Delay frames,
+ *        with the current text in the variable (0 when empty). Use it for
+ *        quick reactions like switching a picture; it cannot show messages.
+ *        0 uses the plugin parameter.
+ *      - Mask Input / Allow Reveal: Hide the typed text behind the mask
+ *        character, optionally with a reveal key or icon
+ *      - Min Length / Max Characters: Length limits, line breaks not counted
+ *      - Allowed Characters: Any, alphanumeric, digits, kana, ASCII
+ *        printable or a custom list. Other characters are rejected.
+ *      - Regular Expression / Pattern Message: The input must match the
+ *        expression. The message is shown under the OK button if it doesn't.
+ *        An invalid expression stops the event with an error.
+ *    - A submit that fails validation keeps the input open and shows the
+ *      reason under the OK button.
  *    - Note: If the text input is empty, it returns the number 0 so that it can be used in conditional branches.
  *
  * 2. SetTextVariable
@@ -116,6 +308,114 @@
  *      - Variable ID: The variable that will store the text.
  *      - Text: The text to store in the variable.
  *
+ * 3. OpenPasswordInput
+ *    - Opens a single-line masked input, like a password field, and stores
+ *      the real text in a variable.
+ *    - Parameters:
+ *      - Variable ID / Label Text: Same as OpenTextInput
+ *      - Max Characters: Maximum length of the text
+ *      - Allow Reveal: Lets the player show the text with the Mask Reveal
+ *        Key or by touching the Mask Reveal Icon. Text too wide to fit
+ *        the input once revealed stays hidden.
+ *      - Allow Cancel / Cancel Value / Cancelled Switch: Same as OpenTextInput
+ *    - Copy and cut are disabled while the text is masked.
+ *
+ * 4. OpenNumberInput
+ *    - Opens a single-line input that only accepts a number and stores it
+ *      in a variable as a number, so conditional branches can compare it.
+ *    - Parameters:
+ *      - Variable ID / Label Text: Same as OpenTextInput
+ *      - Min / Max: The stored value is clamped to this range
+ *      - Step: Amount added or removed by Up/Down (gamepad too).
+ *        PageUp/PageDown change the value by ten steps.
+ *      - Allow Decimal: Accepts a decimal point
+ *      - Allow Cancel / Cancel Value / Cancelled Switch: Same as OpenTextInput
+ *    - Only digits, a leading sign and (if allowed) one decimal point can be
+ *      typed. Enter confirms the number. Mobile devices show a number pad.
+ *    - An empty or unfinished number (like "-") is stored as 0, clamped.
+ *
+ * 5. OpenTextInputCheck
+ *    - Opens a text input and checks the answer against a list of accepted
+ *      answers, for riddles and password doors.
+ *    - Parameters:
+ *      - Label Text / Max Lines: Same as OpenTextInput
+ *      - Accepted Answers: Any of these answers counts as correct
+ *      - Ignore Case / Ignore Whitespace / Ignore Accents: Looser matching.
+ *        Ignore Whitespace removes all spaces, so "open sesame" matches
+ *        "OpenSesame" when Ignore Case is also on.
+ *      - Fuzzy Distance: Accepts answers with up to this many typos
+ *        (inserted, removed or changed characters). 0 = exact match.
+ *      - Attempts: Wrong answers allowed before the input closes. Each
+ *        wrong answer plays the error sound and shows the Wrong Answer
+ *        Message under the OK button. %1 is replaced by attempts left.
+ *      - Success Switch: Turned ON for a correct answer, OFF otherwise
+ *      - Matched Answer Variable: Stores the number of the matched answer
+ *        (1 for the first one), or 0 if none matched
+ *      - Input Variable: Optionally stores the text the player typed
+ *      - Allow Cancel / Cancelled Switch: Same as OpenTextInput. Cancelling
+ *        counts as a wrong answer.
+ *
+ * 6. OpenTextForm
+ *    - Opens one scene with several fields, like a character creation or
+ *      mail form, and stores every field in its own variable.
+ *    - Parameters:
+ *      - Label Text: The text shown above the form
+ *      - Fields: The fields, from top to bottom. Each field has a label,
+ *        a type (text, number, password or multiline), a target variable,
+ *        limits (min length and max characters for text, min and max for
+ *        numbers), the number of lines for multiline fields and a default
+ *        value it starts with.
+ *      - Allow Cancel / Cancelled Switch: Same as OpenTextInput
+ *    - Tab and Shift+Tab move between fields, or touch a field to type in
+ *      it. Shift+Enter or the OK button submits the form.
+ *    - Every field is validated before anything is saved. The first field
+ *      with a problem gets the focus and the reason is shown under the OK
+ *      button.
+ *    - Empty text fields are stored as 0, like OpenTextInput.
+ *    - Forms have no virtual keyboard. Keep them short enough to fit on
+ *      the screen.
+ *
+ * 7. OpenNameInput
+ *    - Opens a single-line input for an actor's name with the actor's face.
+ *    - Parameters:
+ *      - Actor ID: The actor whose name will be changed
+ *      - Label Text: The text shown above the input box
+ *      - Placeholder: Same as OpenTextInput. Shown when the player clears
+ *        the name.
+ *      - Default Max Characters: Maximum name length (1-32)
+ *      - Window Width / Window Height / Anchor / Label Placement: Same as
+ *        OpenTextInput. An empty height fits the actor's face.
+ *      - Common Events / Change Text Variable: Same as OpenTextInput.
+ *    - The other input commands use the common event plugin parameters.
+ *      - Allow Cancel / Cancelled Switch: Same as OpenTextInput. A cancelled
+ *        name input leaves the actor's name unchanged.
+ *
+ * Virtual Keyboard:
+ * -----------------
+ * An on-screen keyboard is shown below the input when the Virtual Keyboard
+ * parameter is "Always", or with "When a gamepad is used" as soon as a
+ * gamepad button is pressed (typing on a physical keyboard hides it again).
+ * - Move with the directional buttons and type with OK. Cancel deletes the
+ *   character before the cursor, or cancels the input when it is empty and
+ *   cancelling is allowed.
+ * - PageUp/PageDown (L/R) or the page key switch between the pages:
+ *   Latin upper and lower case, symbols, accented letters, hiragana and
+ *   katakana.
+ * - The keys can also be touched or clicked. They only react to the
+ *   gamepad and touch, so physical keyboard typing is not affected.
+ * - Not used by OpenNumberInput, where Up/Down step the number instead.
+ *
+ * Message Escape:
+ * ---------------
+ * \TI[n] or \TI[n,m] in Show Text pauses the message and opens a one-line
+ * input just under the message window (or above it when the message is
+ * at the bottom), the way Input Number does. Gamepad players type on the
+ * virtual keyboard, shown on the other side of the screen. Enter, the
+ * keyboard's OK key or the OK button next to the input stores the text in
+ * variable n, limited to m characters when m is given, and the message
+ * goes on. Empty input stores 0. Show the answer with \V[n] in a later
+ * message, since escapes in the current one are already converted.
+ *
  * Usage Example in Event:
  * =====================
  * 1. Add a "Plugin Command" to your event
@@ -127,11 +427,49 @@
  *
  * The entered text will be stored in the selected game variable.
  *
+ * Script Calls:
+ * =============
+ * TextInput.open(options) opens the text input from a script or another
+ * plugin and returns a Promise that resolves to { text, cancelled }. The
+ * text is trimmed, and "" when cancelled. If the scene changes before the
+ * input is confirmed or cancelled, it resolves as cancelled. Invalid
+ * options, like a broken pattern, reject it without opening anything.
+ * Nothing is stored in a variable unless options.variableId is given.
+ *
+ *   TextInput.open({ label: "Name your ship:", maxChars: 16 })
+ *       .then(result => { if (!result.cancelled) ship.name = result.text; });
+ *
+ * TextInput.wait(this, options) does the same from a Script event command
+ * and makes the event wait until the input is closed.
+ *
+ * Options (all optional):
+ * - label, maxLines, placeholder, cancelable, mask, allowReveal,
+ *   showCounter, richText, overlay: Same as the OpenTextInput arguments
+ * - default: Text the input starts with
+ * - cursorStart: "end", "start" or "selectAll" for the default text
+ * - minLength, maxChars, allowedChars, customChars, pattern,
+ *   validationMessage: Same as the validation arguments
+ * - validate: Function called with the text on confirm. Return a message
+ *   string to reject it with that message, false to reject it with the
+ *   Pattern Message, or anything else to accept it
+ * - layout: { width, height, anchor, x, y, labelPlacement }, same values
+ *   as the layout arguments
+ * - variableId: Also store the result like OpenTextInput
+ * - submitCommonEvent, cancelCommonEvent, changeCommonEvent,
+ *   changeVariableId: Same as the common event arguments
+ *
  * Technical Notes:
  * - The text input is handled using an HTML input element
- * - The input element is hidden and positioned off-screen
+ * - The input element is invisible and follows the text cursor, so IME
+ *   candidate windows open next to the text being typed
  * - The text input is processed in real-time and displayed in the window
- * - Supports composition events for IME and mobile keyboard input
+ * - Supports composition events for IME and mobile keyboard input. Text
+ *   still being composed is drawn at the cursor with a dotted underline,
+ *   and the clause being converted is highlighted.
+ * - When there are more lines than fit, a scrollbar is drawn on the right.
+ *   The mouse wheel, a finger swipe or dragging the scrollbar scrolls
+ *   without moving the cursor; the view only follows the cursor when it
+ *   moves out of sight or the text changes.
  *
  * Compatibility:
  * - RPG Maker MZ
@@ -157,6 +495,12 @@
  * @desc The label displayed above the input box.
  * @default Enter text:
  *
+ * @arg placeholder
+ * @type multiline_string
+ * @text Placeholder
+ * @desc Dimmed hint shown while the input is empty. Supports \V[n], \N[n], \C[n] and other escapes.
+ * @default
+ *
  * @arg maxLines
  * @type number
  * @text Max Lines
@@ -165,6 +509,252 @@
  * @max 100
  * @default 10
  *
+ * @arg cancelable
+ * @type boolean
+ * @text Allow Cancel
+ * @desc Lets the player close the input with Escape, right-click, gamepad B or the cancel button.
+ * @default false
+ *
+ * @arg cancelValue
+ * @type string
+ * @text Cancel Value
+ * @desc Value written to the variable when cancelled. Leave empty to keep the variable unchanged.
+ * @default
+ *
+ * @arg editExisting
+ * @type boolean
+ * @text Edit Existing Text
+ * @desc Starts with the current text of the variable (or the source variable) so it can be edited.
+ * @default false
+ *
+ * @arg sourceVariableId
+ * @type variable
+ * @text Source Variable
+ * @desc Variable whose text is loaded when editing existing text. 0 = the Variable ID above.
+ * @default 0
+ *
+ * @arg cursorStart
+ * @type select
+ * @option End of text
+ * @value end
+ * @option Start of text
+ * @value start
+ * @option Select all text
+ * @value selectAll
+ * @text Cursor Start
+ * @desc Where the cursor starts when editing existing text.
+ * @default end
+ *
+ * @arg showCounter
+ * @type boolean
+ * @text Show Counter
+ * @desc Shows lines, characters and words used under the text, as set by Counter Format.
+ * @default false
+ *
+ * @arg richText
+ * @type boolean
+ * @text Rich Text Preview
+ * @desc Draws escapes like \C[n] and \I[n] as colors and icons. The Rich Text Toggle Key shows the source.
+ * @default false
+ *
+ * @arg mask
+ * @type boolean
+ * @text Mask Input
+ * @desc Draws every character as the mask character, like a password field.
+ * @default false
+ *
+ * @arg allowReveal
+ * @type boolean
+ * @text Allow Reveal
+ * @desc Lets the player show the masked text with the reveal key or icon.
+ * @default true
+ *
+ * @arg minLength
+ * @type number
+ * @text Min Length
+ * @desc Minimum number of characters (not counting line breaks). 0 = no minimum.
+ * @min 0
+ * @default 0
+ *
+ * @arg maxChars
+ * @type number
+ * @text Max Characters
+ * @desc Maximum number of characters in total (not counting line breaks). 0 = no limit.
+ * @min 0
+ * @default 0
+ *
+ * @arg allowedChars
+ * @type select
+ * @option Any
+ * @value any
+ * @option Alphanumeric (A-Z, a-z, 0-9)
+ * @value alphanumeric
+ * @option Digits (0-9)
+ * @value digits
+ * @option Kana (Hiragana and Katakana)
+ * @value kana
+ * @option ASCII Printable
+ * @value ascii
+ * @option Custom
+ * @value custom
+ * @text Allowed Characters
+ * @desc Characters the player can type. Other characters are rejected with the error sound.
+ * @default any
+ *
+ * @arg customChars
+ * @type string
+ * @text Custom Characters
+ * @desc The allowed characters when Allowed Characters is Custom, e.g. ABCDEF0123456789
+ * @default
+ *
+ * @arg pattern
+ * @type string
+ * @text Regular Expression
+ * @desc The input must match this regular expression to be accepted, e.g. ^[A-Z]{3}-\d{4}$ Leave empty to skip.
+ * @default
+ *
+ * @arg validationMessage
+ * @type string
+ * @text Pattern Message
+ * @desc Message shown when the regular expression does not match. Leave empty for the default message.
+ * @default
+ *
+ * @arg cancelSwitchId
+ * @type switch
+ * @text Cancelled Switch
+ * @desc Switch turned ON when the input is cancelled and OFF when it is confirmed. 0 = none.
+ * @default 0
+ *
+ * @arg width
+ * @type string
+ * @text Window Width
+ * @desc Width of the input box in pixels (e.g. 480) or percent of the screen (e.g. 60%). Empty = Input Width parameter.
+ * @default
+ *
+ * @arg height
+ * @type string
+ * @text Window Height
+ * @desc Height of the input box in pixels (e.g. 200) or percent of the screen (e.g. 30%). Empty = Input Height parameter.
+ * @default
+ *
+ * @arg anchor
+ * @type select
+ * @option Center of the screen
+ * @value center
+ * @option Top of the screen
+ * @value top
+ * @option Bottom of the screen
+ * @value bottom
+ * @option Above the message window
+ * @value aboveMessage
+ * @option Custom X/Y
+ * @value custom
+ * @text Anchor
+ * @desc Where the label, input box and buttons are placed on the screen.
+ * @default center
+ *
+ * @arg anchorX
+ * @type number
+ * @min -9999
+ * @text Custom X
+ * @desc Left edge of the windows when the anchor is Custom X/Y.
+ * @default 0
+ *
+ * @arg anchorY
+ * @type number
+ * @min -9999
+ * @text Custom Y
+ * @desc Top edge of the windows when the anchor is Custom X/Y.
+ * @default 0
+ *
+ * @arg labelPlacement
+ * @type select
+ * @option Above the input
+ * @value above
+ * @option Left of the input
+ * @value left
+ * @option Inside the input as a title
+ * @value inside
+ * @text Label Placement
+ * @desc Where the label text is drawn.
+ * @default above
+ *
+ * @arg overlay
+ * @type boolean
+ * @text Overlay on Map/Battle
+ * @desc Opens the input over the current map or battle instead of a separate screen. The event waits until it is closed.
+ * @default false
+ *
+ * @arg submitCommonEvent
+ * @type common_event
+ * @text Submit Common Event
+ * @desc Common event reserved when the input is confirmed. 0 = the Submit Common Event parameter.
+ * @default 0
+ *
+ * @arg cancelCommonEvent
+ * @type common_event
+ * @text Cancel Common Event
+ * @desc Common event reserved when the input is cancelled. 0 = the Cancel Common Event parameter.
+ * @default 0
+ *
+ * @arg changeCommonEvent
+ * @type common_event
+ * @text Change Common Event
+ * @desc Common event run after the player stops typing for a moment. 0 = the Change Common Event parameter.
+ * @default 0
+ *
+ * @arg changeVariableId
+ * @type variable
+ * @text Change Text Variable
+ * @desc Variable that receives the current text for the change common event. 0 = the Change Text Variable parameter.
+ * @default 0
+ *
+ * @command OpenPasswordInput
+ * @text Open Password Input
+ * @desc Opens a single-line masked input and stores the result in a variable.
+ *
+ * @arg variableId
+ * @type variable
+ * @text Variable ID
+ * @desc The variable that will store the input text.
+ *
+ * @arg label
+ * @type string
+ * @text Label Text
+ * @desc The label displayed above the input box.
+ * @default Enter password:
+ *
+ * @arg maxChars
+ * @type number
+ * @text Max Characters
+ * @desc Maximum number of characters allowed. 0 = as many as fit on the line.
+ * @min 0
+ * @default 16
+ *
+ * @arg allowReveal
+ * @type boolean
+ * @text Allow Reveal
+ * @desc Lets the player show the masked text with the reveal key or icon.
+ * @default true
+ *
+ * @arg cancelable
+ * @type boolean
+ * @text Allow Cancel
+ * @desc Lets the player close the input with Escape, right-click, gamepad B or the cancel button.
+ * @default false
+ *
+ * @arg cancelValue
+ * @type string
+ * @text Cancel Value
+ * @desc Value written to the variable when cancelled. Leave empty to keep the variable unchanged.
+ * @default
+ *
+ * @arg cancelSwitchId
+ * @type switch
+ * @text Cancelled Switch
+ * @desc Switch turned ON when the input is cancelled and OFF when it is confirmed. 0 = none.
+ * @default 0
+ *
  * @command SetTextVariable
  * @text Set Text Variable
  * @desc Sets the value of a game variable to a specific text.
@@ -181,6 +771,191 @@
  * @desc The text to store in the variable.
  * @default
  *
+ * @command OpenNumberInput
+ * @text Open Number Input
+ * @desc Opens a number input and stores the result in a variable as a number.
+ *
+ * @arg variableId
+ * @type variable
+ * @text Variable ID
+ * @desc The variable that will store the number.
+ *
+ * @arg label
+ * @type string
+ * @text Label Text
+ * @desc The label displayed above the input box.
+ * @default Enter a number:
+ *
+ * @arg min
+ * @type number
+ * @text Min
+ * @desc Smallest value that can be stored.
+ * @min -999999999
+ * @max 999999999
+ * @decimals 2
+ * @default 0
+ *
+ * @arg max
+ * @type number
+ * @text Max
+ * @desc Largest value that can be stored.
+ * @min -999999999
+ * @max 999999999
+ * @decimals 2
+ * @default 9999
+ *
+ * @arg step
+ * @type number
+ * @text Step
+ * @desc Amount added or removed with the Up/Down keys.
+ * @min 0
+ * @decimals 2
+ * @default 1
+ *
+ * @arg allowDecimal
+ * @type boolean
+ * @text Allow Decimal
+ * @desc Lets the player type a decimal point.
+ * @default false
+ *
+ * @arg cancelable
+ * @type boolean
+ * @text Allow Cancel
+ * @desc Lets the player close the input with Escape, right-click, gamepad B or the cancel button.
+ * @default false
+ *
+ * @arg cancelValue
+ * @type string
+ * @text Cancel Value
+ * @desc Value written to the variable when cancelled. Leave empty to keep the variable unchanged.
+ * @default
+ *
+ * @arg cancelSwitchId
+ * @type switch
+ * @text Cancelled Switch
+ * @desc Switch turned ON when the input is cancelled and OFF when it is confirmed. 0 = none.
+ * @default 0
+ *
+ * @command OpenTextInputCheck
+ * @text Open Text Input Check
+ * @desc Opens a text input and checks the answer against accepted answers.
+ *
+ * @arg label
+ * @type string
+ * @text Label Text
+ * @desc The label displayed above the input box.
+ * @default Enter the answer:
+ *
+ * @arg maxLines
+ * @type number
+ * @text Max Lines
+ * @desc Maximum number of lines allowed.
+ * @min 1
+ * @max 100
+ * @default 1
+ *
+ * @arg answers
+ * @type string[]
+ * @text Accepted Answers
+ * @desc Answers that count as correct.
+ * @default []
+ *
+ * @arg ignoreCase
+ * @type boolean
+ * @text Ignore Case
+ * @desc Treats upper and lower case letters as the same.
+ * @default true
+ *
+ * @arg ignoreWhitespace
+ * @type boolean
+ * @text Ignore Whitespace
+ * @desc Ignores all spaces and line breaks when comparing.
+ * @default false
+ *
+ * @arg ignoreAccents
+ * @type boolean
+ * @text Ignore Accents
+ * @desc Treats accented letters as their plain letter (é = e).
+ * @default false
+ *
+ * @arg fuzzyDistance
+ * @type number
+ * @text Fuzzy Distance
+ * @desc Number of typos allowed in an answer. 0 = exact match.
+ * @min 0
+ * @default 0
+ *
+ * @arg attempts
+ * @type number
+ * @text Attempts
+ * @desc Number of answers the player can give before the input closes.
+ * @min 1
+ * @default 1
+ *
+ * @arg wrongMessage
+ * @type string
+ * @text Wrong Answer Message
+ * @desc Shown under the OK button after a wrong answer when attempts remain. %1 = attempts left.
+ * @default Wrong answer. Attempts left: %1
+ *
+ * @arg successSwitchId
+ * @type switch
+ * @text Success Switch
+ * @desc Switch turned ON for a correct answer and OFF otherwise. 0 = none.
+ * @default 0
+ *
+ * @arg matchVariableId
+ * @type variable
+ * @text Matched Answer Variable
+ * @desc Stores the number of the matched answer (1 = first), or 0 if none matched. 0 = none.
+ * @default 0
+ *
+ * @arg inputVariableId
+ * @type variable
+ * @text Input Variable
+ * @desc Stores the text the player typed. 0 = none.
+ * @default 0
+ *
+ * @arg cancelable
+ * @type boolean
+ * @text Allow Cancel
+ * @desc Lets the player close the input with Escape, right-click, gamepad B or the cancel button.
+ * @default false
+ *
+ * @arg cancelSwitchId
+ * @type switch
+ * @text Cancelled Switch
+ * @desc Switch turned ON when the input is cancelled and OFF when it is confirmed. 0 = none.
+ * @default 0
+ *
+ * @command OpenTextForm
+ * @text Open Text Form
+ * @desc Opens a form with several input fields and stores each in a variable.
+ *
+ * @arg label
+ * @type string
+ * @text Label Text
+ * @desc The label displayed above the form.
+ * @default Fill in the form:
+ *
+ * @arg fields
+ * @type struct<FormField>[]
+ * @text Fields
+ * @desc The fields of the form, from top to bottom.
+ * @default []
+ *
+ * @arg cancelable
+ * @type boolean
+ * @text Allow Cancel
+ * @desc Lets the player close the form with Escape, right-click, gamepad B or the cancel button.
+ * @default false
+ *
+ * @arg cancelSwitchId
+ * @type switch
+ * @text Cancelled Switch
+ * @desc Switch turned ON when the form is cancelled and OFF when it is confirmed. 0 = none.
+ * @default 0
+ *
  * @command OpenNameInput
  * @text Open Name Input
  * @desc Opens a single-line text input box for actor name with actor face display.
@@ -196,6 +971,12 @@
  * @desc The label displayed above the input box.
  * @default Enter name:
  *
+ * @arg placeholder
+ * @type string
+ * @text Placeholder
+ * @desc Dimmed hint shown while the input is empty. Supports \V[n], \N[n], \C[n] and other escapes.
+ * @default
+ *
  * @arg defaultMaxCharacters
  * @type number
  * @text Default Max Characters
@@ -203,35 +984,281 @@
  * @min 1
  * @max 32
  * @default 12
- */
-
-/*~struct~Sound:
- * @param name
+ *
+ * @arg cancelable
+ * @type boolean
+ * @text Allow Cancel
+ * @desc Lets the player close the input with Escape, right-click, gamepad B or the cancel button.
+ * @default false
+ *
+ * @arg cancelSwitchId
+ * @type switch
+ * @text Cancelled Switch
+ * @desc Switch turned ON when the input is cancelled and OFF when it is confirmed. 0 = none.
+ * @default 0
+ *
+ * @arg width
  * @type string
- * @text Sound Name
- * @desc The name of the sound file (without extension).
+ * @text Window Width
+ * @desc Width of the input box in pixels (e.g. 480) or percent of the screen (e.g. 60%). Empty = Input Width parameter.
  * @default
  *
- * @param volume
- * @type number
- * @min 0
- * @max 100
- * @text Volume
- * @desc The volume of the sound (0-100).
- * @default 90
+ * @arg height
+ * @type string
+ * @text Window Height
+ * @desc Height of the input box in pixels (e.g. 200) or percent of the screen (e.g. 30%). Empty = fits the actor's face.
+ * @default
  *
- * @param pitch
+ * @arg anchor
+ * @type select
+ * @option Center of the screen
+ * @value center
+ * @option Top of the screen
+ * @value top
+ * @option Bottom of the screen
+ * @value bottom
+ * @option Above the message window
+ * @value aboveMessage
+ * @option Custom X/Y
+ * @value custom
+ * @text Anchor
+ * @desc Where the label, input box and buttons are placed on the screen.
+ * @default center
+ *
+ * @arg anchorX
  * @type number
- * @min 50
- * @max 150
- * @text Pitch
- * @desc The pitch of the sound (50-150).
- * @default 100
+ * @min -9999
+ * @text Custom X
+ * @desc Left edge of the windows when the anchor is Custom X/Y.
+ * @default 0
  *
- * @param pan
+ * @arg anchorY
  * @type number
- * @min -100
- * @max 100
+ * @min -9999
+ * @text Custom Y
+ * @desc Top edge of the windows when the anchor is Custom X/Y.
+ * @default 0
+ *
+ * @arg labelPlacement
+ * @type select
+ * @option Above the input
+ * @value above
+ * @option Left of the input
+ * @value left
+ * @option Inside the input as a title
+ * @value inside
+ * @text Label Placement
+ * @desc Where the label text is drawn.
+ * @default above
+ *
+ * @arg submitCommonEvent
+ * @type common_event
+ * @text Submit Common Event
+ * @desc Common event reserved when the input is confirmed. 0 = the Submit Common Event parameter.
+ * @default 0
+ *
+ * @arg cancelCommonEvent
+ * @type common_event
+ * @text Cancel Common Event
+ * @desc Common event reserved when the input is cancelled. 0 = the Cancel Common Event parameter.
+ * @default 0
+ *
+ * @arg changeCommonEvent
+ * @type common_event
+ * @text Change Common Event
+ * @desc Common event run after the player stops typing for a moment. 0 = the Change Common Event parameter.
+ * @default 0
+ *
+ * @arg changeVariableId
+ * @type variable
+ * @text Change Text Variable
+ * @desc Variable that receives the current text for the change common event. 0 = the Change Text Variable parameter.
+ * @default 0
+ */
+
+/*~struct~ValidationMessages:
+ * @param minLength
+ * @type string
+ * @text Too Short
+ * @desc Shown when the input is shorter than the minimum length. %1 = minimum length.
+ * @default Enter at least %1 characters.
+ *
+ * @param maxLength
+ * @type string
+ * @text Too Long
+ * @desc Shown when the input is longer than the maximum length. %1 = maximum length.
+ * @default Enter at most %1 characters.
+ *
+ * @param characters
+ * @type string
+ * @text Invalid Characters
+ * @desc Shown when the input contains characters that are not allowed.
+ * @default Some characters are not allowed.
+ *
+ * @param pattern
+ * @type string
+ * @text Pattern Mismatch
+ * @desc Shown when the input does not match the regular expression.
+ * @default The input is not in the expected format.
+ */
+
+/*~struct~ClipboardMenu:
+ * @param cut
+ * @type string
+ * @text Cut
+ * @desc Command name for cutting the selected text.
+ * @default Cut
+ *
+ * @param copy
+ * @type string
+ * @text Copy
+ * @desc Command name for copying the selected text.
+ * @default Copy
+ *
+ * @param paste
+ * @type string
+ * @text Paste
+ * @desc Command name for pasting the clipboard text.
+ * @default Paste
+ *
+ * @param selectAll
+ * @type string
+ * @text Select All
+ * @desc Command name for selecting all text.
+ * @default Select All
+ */
+
+/*~struct~FormField:
+ * @param label
+ * @type string
+ * @text Label
+ * @desc The label shown left of the field.
+ * @default Name
+ *
+ * @param type
+ * @type select
+ * @option Text
+ * @value text
+ * @option Number
+ * @value number
+ * @option Password
+ * @value password
+ * @option Multiline
+ * @value multiline
+ * @text Type
+ * @desc The kind of input. Number fields store a number, the others store text.
+ * @default text
+ *
+ * @param variableId
+ * @type variable
+ * @text Variable ID
+ * @desc The variable that will store the field's value.
+ * @default 0
+ *
+ * @param lines
+ * @type number
+ * @text Lines
+ * @desc Number of lines of a multiline field.
+ * @min 1
+ * @max 10
+ * @default 3
+ *
+ * @param minLength
+ * @type number
+ * @text Min Length
+ * @desc Text fields: minimum number of characters. 0 = no minimum.
+ * @min 0
+ * @default 0
+ *
+ * @param maxChars
+ * @type number
+ * @text Max Characters
+ * @desc Text fields: maximum number of characters. 0 = as many as fit.
+ * @min 0
+ * @default 0
+ *
+ * @param min
+ * @type number
+ * @text Min
+ * @desc Number fields: smallest value that can be stored.
+ * @min -999999999
+ * @max 999999999
+ * @default 0
+ *
+ * @param max
+ * @type number
+ * @text Max
+ * @desc Number fields: largest value that can be stored.
+ * @min -999999999
+ * @max 999999999
+ * @default 9999
+ *
+ * @param defaultValue
+ * @type string
+ * @text Default Value
+ * @desc The value the field starts with.
+ * @default
+ */
+
+/*~struct~VirtualKeyboardKeys:
+ * @param page
+ * @type string
+ * @text Page
+ * @desc Key that switches to the next page of characters. %1 = name of the next page.
+ * @default %1
+ *
+ * @param space
+ * @type string
+ * @text Space
+ * @desc Key that types a space.
+ * @default Space
+ *
+ * @param backspace
+ * @type string
+ * @text Backspace
+ * @desc Key that deletes the character before the cursor.
+ * @default Back
+ *
+ * @param newLine
+ * @type string
+ * @text New Line
+ * @desc Key that starts a new line.
+ * @default Enter
+ *
+ * @param ok
+ * @type string
+ * @text OK
+ * @desc Key that confirms the input.
+ * @default OK
+ */
+
+/*~struct~Sound:
+ * @param name
+ * @type string
+ * @text Sound Name
+ * @desc The name of the sound file (without extension).
+ * @default
+ *
+ * @param volume
+ * @type number
+ * @min 0
+ * @max 100
+ * @text Volume
+ * @desc The volume of the sound (0-100).
+ * @default 90
+ *
+ * @param pitch
+ * @type number
+ * @min 50
+ * @max 150
+ * @text Pitch
+ * @desc The pitch of the sound (50-150).
+ * @default 100
+ *
+ * @param pan
+ * @type number
+ * @min -100
+ * @max 100
  * @text Pan
  * @desc The pan of the sound (-100 to 100).
  * @default 0
@@ -254,6 +1281,25 @@
         String(params["InputSaveHelpText"]) ||
         "Press \\c[1]Shift+Enter\\c[0] to save input";
     const OK_BUTTON_TEXT = String(params["OkButtonText"] || "✔");
+    const CANCEL_BUTTON_TEXT = String(params["CancelButtonText"] || "✖");
+    const CLIPBOARD_MENU = parseClipboardMenuStruct(params["ClipboardMenu"]);
+    const VIRTUAL_KEYBOARD_MODE = String(params["VirtualKeyboard"] || "auto");
+    const VIRTUAL_KEYBOARD_KEYS = parseVirtualKeyboardKeysStruct(params["VirtualKeyboardKeys"]);
+    const VALIDATION_MESSAGES = parseValidationMessagesStruct(params["ValidationMessages"]);
+    const UNDO_HISTORY_DEPTH = Number(params["UndoHistoryDepth"] || 100);
+    const SUBMIT_COMMON_EVENT = Number(params["SubmitCommonEvent"] || 0);
+    const CANCEL_COMMON_EVENT = Number(params["CancelCommonEvent"] || 0);
+    const CHANGE_COMMON_EVENT = Number(params["ChangeCommonEvent"] || 0);
+    const CHANGE_TEXT_VARIABLE = Number(params["ChangeTextVariable"] || 0);
+    const CHANGE_DELAY = Number(params["ChangeDelay"] || 20);
+    const COUNTER_FORMAT = String(
+        params["CounterFormat"] || "Lines %1/%2  Chars %3/%4  Words %5"
+    );
+    const COUNTER_WARNING_RATIO = Number(params["CounterWarningPercent"] || 80) / 100;
+    const MASK_CHARACTER = String(params["MaskCharacter"] || "●");
+    const MASK_REVEAL_KEY = String(params["MaskRevealKey"] || "");
+    const MASK_REVEAL_ICON = Number(params["MaskRevealIcon"] || 0);
+    const RICH_TEXT_TOGGLE_KEY = String(params["RichTextToggleKey"] || "");
 
     // Sound parameters
     const ENABLE_OK_SOUND = params["EnableOkSound"] === "true";
@@ -267,6 +1313,60 @@
     const CURSOR_SOUND = parseSoundStruct(params["CursorSound"]);
     const CANCEL_SOUND = parseSoundStruct(params["CancelSound"]);
 
+    // A number that may still be unfinished, like "-" or "12."
+    const PARTIAL_NUMBER_REGEX = /^[+-]?\d*(\.\d*)?$/;
+    // Frames allowed between clicks to count as a double or triple click
+    const MULTI_CLICK_FRAMES = 24;
+    // Width of the highlight shown for a selected line break
+    const SELECTION_NEWLINE_WIDTH = 8;
+    // Gap between a \TI input, its OK button and the message window
+    const MESSAGE_INPUT_SPACING = 8;
+    // Width of the scrollbar and the gap kept between it and the text
+    const SCROLLBAR_WIDTH = 6;
+    const SCROLLBAR_MARGIN = 4;
+    // Mouse wheel distance that scrolls one line
+    const WHEEL_SCROLL_THRESHOLD = 20;
+    // Layout of the on-screen keyboard: rows of characters and one row of keys
+    const VIRTUAL_KEYBOARD_COLS = 10;
+    const VIRTUAL_KEYBOARD_CHAR_ROWS = 5;
+    const VIRTUAL_KEYBOARD_CHAR_CELLS = VIRTUAL_KEYBOARD_COLS * VIRTUAL_KEYBOARD_CHAR_ROWS;
+    const VIRTUAL_KEYBOARD_CONTROLS = ["page", "space", "backspace", "newLine", "ok"];
+    const HIRAGANA_BASIC =
+        "あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめもやゆよらりるれろわをんー、。！";
+    const HIRAGANA_EXTRA =
+        "がぎぐげござじずぜぞだぢづでどばびぶべぼぱぴぷぺぽぁぃぅぇぉっゃゅょゎゔ？「」・";
+    const VIRTUAL_KEYBOARD_PAGES = [
+        { name: "ABC", chars: "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.,!?-'\"&()@:;/" },
+        { name: "abc", chars: "abcdefghijklmnopqrstuvwxyz0123456789.,!?-'\"&()@:;/" },
+        { name: "#+=", chars: "!\"#$%&'()*+,-./:;<=>?@[\\]^_`{|}~…・«»‹›¡¿€£¥¢°±×÷§¶" },
+        { name: "ÀÁÂ", chars: "ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÑÒÓÔÕÖØŒÙÚÛÜÝŸ" },
+        { name: "àáâ", chars: "àáâãäåæçèéêëìíîïñòóôõöøœùúûüýÿß" },
+        { name: "あ", chars: HIRAGANA_BASIC },
+        { name: "が", chars: HIRAGANA_EXTRA },
+        { name: "ア", chars: toKatakana(HIRAGANA_BASIC) },
+        { name: "ガ", chars: toKatakana(HIRAGANA_EXTRA) }
+    ];
+    // Characters that may wrap on their own (CJK scripts have no spaces)
+    const CJK_CHARS =
+        "\\u2E80-\\u30FF\\u3400-\\u4DBF\\u4E00-\\u9FFF\\uAC00-\\uD7AF\\uF900-\\uFAFF\\uFF00-\\uFFEF";
+    const WRAP_TOKEN_REGEX = new RegExp(
+        `[${CJK_CHARS}]\\s*|[^\\s${CJK_CHARS}]+\\s*|\\s+`,
+        "g"
+    );
+    // Splits text into user-perceived characters (grapheme clusters)
+    const GRAPHEME_SEGMENTER =
+        typeof Intl !== "undefined" && Intl.Segmenter
+            ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+            : null;
+    const WORD_SEGMENTER =
+        typeof Intl !== "undefined" && Intl.Segmenter
+            ? new Intl.Segmenter(undefined, { granularity: "word" })
+            : null;
+    // Fallback for engines without Intl.Segmenter: flag pairs, and characters
+    // with their combining marks, skin tones and zero-width-joined parts
+    const GRAPHEME_REGEX =
+        /\p{Regional_Indicator}{2}|[\s\S][\p{M}\u{1F3FB}-\u{1F3FF}]*(?:\u200D[\s\S][\p{M}\u{1F3FB}-\u{1F3FF}]*)*/gu;
+
     /**
      * Parses a sound structure from plugin parameters
      * @param {string} soundParam - The sound parameter string
@@ -286,6 +1386,369 @@
         };
     }
 
+    /**
+     * Parses the clipboard menu command names from plugin parameters
+     * @param {string} menuParam - The clipboard menu parameter string
+     * @returns {object} Command names keyed by symbol
+     */
+    function parseClipboardMenuStruct(menuParam) {
+        const menuData = JSON.parse(menuParam || "{}");
+        return {
+            cut: menuData.cut || "Cut",
+            copy: menuData.copy || "Copy",
+            paste: menuData.paste || "Paste",
+            selectAll: menuData.selectAll || "Select All"
+        };
+    }
+
+    /**
+     * Parses the virtual keyboard key labels from plugin parameters
+     * @param {string} keysParam - The virtual keyboard keys parameter string
+     * @returns {object} Key labels keyed by symbol
+     */
+    function parseVirtualKeyboardKeysStruct(keysParam) {
+        const keysData = JSON.parse(keysParam || "{}");
+        return {
+            page: keysData.page || "%1",
+            space: keysData.space || "Space",
+            backspace: keysData.backspace || "Back",
+            newLine: keysData.newLine || "Enter",
+            ok: keysData.ok || "OK"
+        };
+    }
+
+    /**
+     * Converts hiragana to katakana, leaving other characters unchanged
+     * @param {string} text - The text to convert
+     * @returns {string} The converted text
+     */
+    function toKatakana(text) {
+        return text.replace(/[\u3041-\u3096]/g, (char) =>
+            String.fromCharCode(char.charCodeAt(0) + 0x60)
+        );
+    }
+
+    /**
+     * Parses the validation messages from plugin parameters
+     * @param {string} messagesParam - The validation messages parameter string
+     * @returns {object} Messages keyed by the rule that failed
+     */
+    function parseValidationMessagesStruct(messagesParam) {
+        const messagesData = JSON.parse(messagesParam || "{}");
+        return {
+            minLength: messagesData.minLength || "Enter at least %1 characters.",
+            maxLength: messagesData.maxLength || "Enter at most %1 characters.",
+            characters: messagesData.characters || "Some characters are not allowed.",
+            pattern: messagesData.pattern || "The input is not in the expected format."
+        };
+    }
+
+    /**
+     * Parses the validation plugin command arguments
+     * @param {object} args - The plugin command arguments
+     * @returns {object} Validation rules for TextInputValidator
+     */
+    function parseValidationArgs(args) {
+        return {
+            minLength: Number(args.minLength || 0),
+            maxChars: Number(args.maxChars || 0),
+            allowedChars: args.allowedChars || "any",
+            customChars: args.customChars || "",
+            pattern: parsePattern(args.pattern),
+            message: args.validationMessage || ""
+        };
+    }
+
+    /**
+     * Compiles the regular expression of the validation arguments. Unicode
+     * mode is tried first so that emoji count as one character; patterns it
+     * rejects, like \- outside a character class, fall back to plain mode.
+     * @param {string} source - The expression, without slashes or flags
+     * @returns {RegExp|null} The compiled expression, or null if empty
+     */
+    function parsePattern(source) {
+        if (!source) return null;
+        try {
+            return new RegExp(source, "u");
+        } catch (e) {
+            try {
+                return new RegExp(source);
+            } catch (error) {
+                throw new Error(`${PLUGIN_NAME}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Parses the cancel-related plugin command arguments
+     * @param {object} args - The plugin command arguments
+     * @returns {object} Whether cancelling is allowed, the value to store and the switch to set
+     */
+    function parseCancelArgs(args) {
+        return {
+            cancelable: args.cancelable === "true",
+            cancelValue: parseCancelValue(args.cancelValue),
+            cancelSwitchId: Number(args.cancelSwitchId || 0)
+        };
+    }
+
+    /**
+     * Converts the cancel value argument, keeping numbers as numbers so that
+     * conditional branches can compare them
+     * @param {string} value - The raw argument
+     * @returns {string|number|null} The value to store, or null to leave the variable unchanged
+     */
+    function parseCancelValue(value) {
+        if (!value) {
+            return null;
+        }
+        return isNaN(Number(value)) ? value : Number(value);
+    }
+
+    /**
+     * Parses the answer checking arguments of OpenTextInputCheck
+     * @param {object} args - The plugin command arguments
+     * @returns {object} Matching rules for TextInputAnswerChecker and the result targets
+     */
+    function parseAnswerCheckArgs(args) {
+        return {
+            answers: JSON.parse(args.answers || "[]"),
+            ignoreCase: args.ignoreCase !== "false",
+            ignoreWhitespace: args.ignoreWhitespace === "true",
+            ignoreAccents: args.ignoreAccents === "true",
+            fuzzyDistance: Number(args.fuzzyDistance || 0),
+            attempts: Math.max(1, Number(args.attempts || 1)),
+            wrongMessage: args.wrongMessage || "",
+            successSwitchId: Number(args.successSwitchId || 0),
+            matchVariableId: Number(args.matchVariableId || 0)
+        };
+    }
+
+    /**
+     * Parses a form field structure from the OpenTextForm arguments
+     * @param {string} fieldParam - The form field parameter string
+     * @returns {object} Field settings
+     */
+    function parseFormFieldStruct(fieldParam) {
+        const fieldData = JSON.parse(fieldParam || "{}");
+        const min = Number(fieldData.min || 0);
+        const max = Number(fieldData.max || 0);
+        return {
+            label: fieldData.label || "",
+            type: fieldData.type || "text",
+            variableId: Number(fieldData.variableId || 0),
+            lines: fieldData.type === "multiline" ? Number(fieldData.lines || 3) : 1,
+            minLength: Number(fieldData.minLength || 0),
+            maxChars: Number(fieldData.maxChars || 0),
+            min: Math.min(min, max),
+            max: Math.max(min, max),
+            defaultValue: fieldData.defaultValue || ""
+        };
+    }
+
+    /**
+     * Parses the layout arguments of OpenTextInput and OpenNameInput
+     * @param {object} args - The plugin command arguments
+     * @returns {object} Size, anchor and label placement of the windows
+     */
+    function parseLayoutArgs(args) {
+        return {
+            width: String(args.width || ""),
+            height: String(args.height || ""),
+            anchor: args.anchor || "center",
+            x: Number(args.anchorX || 0),
+            y: Number(args.anchorY || 0),
+            labelPlacement: args.labelPlacement || "above"
+        };
+    }
+
+    /**
+     * Parses the common event arguments, falling back to the plugin parameters
+     * @param {object} args - The plugin command arguments
+     * @returns {object} Common events to run and the variable for the change event
+     */
+    function parseCommonEventArgs(args) {
+        return {
+            submitCommonEventId: Number(args.submitCommonEvent || 0) || SUBMIT_COMMON_EVENT,
+            cancelCommonEventId: Number(args.cancelCommonEvent || 0) || CANCEL_COMMON_EVENT,
+            changeCommonEventId: Number(args.changeCommonEvent || 0) || CHANGE_COMMON_EVENT,
+            changeVariableId: Number(args.changeVariableId || 0) || CHANGE_TEXT_VARIABLE
+        };
+    }
+
+    /**
+     * Converts a size argument to pixels
+     * @param {string} value - Pixels ("480"), a percentage ("60%") or empty
+     * @param {number} total - The size a percentage is taken of
+     * @param {number} fallback - The size used when the value is empty
+     * @returns {number} The size in pixels
+     */
+    function resolveLayoutSize(value, total, fallback) {
+        const size = parseFloat(value);
+        if (isNaN(size) || size <= 0) {
+            return fallback;
+        }
+        return value.trim().endsWith("%") ? (total * size) / 100 : size;
+    }
+
+    /**
+     * Places the label, input and button windows as one stack on the screen
+     * @param {object} layout - Settings from parseLayoutArgs
+     * @param {object} sizes - Sizes of the windows and of the message window
+     * @returns {object} Positions and sizes of the label, input and buttons
+     */
+    function calculateInputLayout(layout, sizes) {
+        const placement = layout.labelPlacement;
+        const gap = 10;
+        const labelWidth = placement === "left" ? sizes.labelWidth : sizes.inputWidth;
+        const stackWidth = placement === "left" ? labelWidth + sizes.inputWidth : sizes.inputWidth;
+        const labelRowHeight = placement === "above" ? sizes.labelHeight + gap : 0;
+        const stackHeight = labelRowHeight + sizes.inputHeight + gap + sizes.buttonHeight;
+
+        let x = (Graphics.boxWidth - stackWidth) / 2;
+        let y;
+        switch (layout.anchor) {
+            case "top":
+                y = gap;
+                break;
+            case "bottom":
+                y = Graphics.boxHeight - stackHeight - gap;
+                break;
+            case "aboveMessage":
+                y = Graphics.boxHeight - sizes.messageHeight - stackHeight - gap;
+                break;
+            case "custom":
+                x = layout.x;
+                y = layout.y;
+                break;
+            default:
+                y = (Graphics.boxHeight - stackHeight) / 2;
+                break;
+        }
+        y = Math.max(0, y);
+
+        const inputX = placement === "left" ? x + labelWidth : x;
+        const inputY = y + labelRowHeight;
+        return {
+            labelX: x,
+            labelY: placement === "above" ? y : inputY,
+            labelWidth: labelWidth,
+            labelHeight: sizes.labelHeight,
+            inputX: inputX,
+            inputY: inputY,
+            buttonY: inputY + sizes.inputHeight + gap,
+            centerX: inputX + sizes.inputWidth / 2
+        };
+    }
+
+    /**
+     * Checks whether a character is part of a word (letters, digits, underscore)
+     * @param {string} char - The character to check
+     * @returns {boolean} True if the character belongs to a word
+     */
+    function isWordChar(char) {
+        return /[\p{L}\p{M}\p{N}_]/u.test(char);
+    }
+
+    /**
+     * Splits text into grapheme clusters, so an emoji or a letter with its
+     * accents counts as one character
+     * @param {string} text - The text to split
+     * @returns {string[]} The grapheme clusters
+     */
+    function splitGraphemes(text) {
+        if (GRAPHEME_SEGMENTER) {
+            return Array.from(GRAPHEME_SEGMENTER.segment(text), (part) => part.segment);
+        }
+        return text.match(GRAPHEME_REGEX) || [];
+    }
+
+    /**
+     * Counts the grapheme clusters of a text
+     * @param {string} text - The text to count
+     * @returns {number} The number of user-perceived characters
+     */
+    function countGraphemes(text) {
+        return splitGraphemes(text).length;
+    }
+
+    /**
+     * Counts the words of a text. Without Intl.Segmenter, words are the
+     * parts between whitespace
+     * @param {string} text - The text to count
+     * @returns {number} The number of words
+     */
+    function countWords(text) {
+        if (WORD_SEGMENTER) {
+            return Array.from(WORD_SEGMENTER.segment(text)).filter(
+                (part) => part.isWordLike
+            ).length;
+        }
+        return text.split(/\s+/).filter(Boolean).length;
+    }
+
+    /**
+     * Finds the grapheme boundary before an offset
+     * @param {string} text - The text
+     * @param {number} offset - Offset in UTF-16 code units
+     * @returns {number} Offset of the start of the grapheme before it
+     */
+    function previousGraphemeOffset(text, offset) {
+        let boundary = 0;
+        for (const grapheme of splitGraphemes(text)) {
+            if (boundary + grapheme.length >= offset) break;
+            boundary += grapheme.length;
+        }
+        return Math.min(boundary, offset);
+    }
+
+    /**
+     * Finds the grapheme boundary after an offset
+     * @param {string} text - The text
+     * @param {number} offset - Offset in UTF-16 code units
+     * @returns {number} Offset of the end of the grapheme after it
+     */
+    function nextGraphemeOffset(text, offset) {
+        let boundary = 0;
+        for (const grapheme of splitGraphemes(text)) {
+            boundary += grapheme.length;
+            if (boundary > offset) return boundary;
+        }
+        return text.length;
+    }
+
+    /**
+     * Splits a paragraph into the pieces that word wrapping keeps together:
+     * words with their trailing spaces, and single CJK characters
+     * @param {string} paragraph - Text without newlines
+     * @returns {string[]} The pieces in order
+     */
+    function splitWrapTokens(paragraph) {
+        return paragraph.match(WRAP_TOKEN_REGEX) || [];
+    }
+
+    /**
+     * Writes text to the system clipboard, ignoring failures
+     * (e.g. when the page is not allowed to use the clipboard)
+     * @param {string} text - The text to copy
+     */
+    function writeClipboard(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).catch(() => {});
+        }
+    }
+
+    /**
+     * Reads text from the system clipboard
+     * @returns {Promise<string>} The clipboard text, or an empty string if unavailable
+     */
+    function readClipboard() {
+        if (navigator.clipboard && navigator.clipboard.readText) {
+            return navigator.clipboard.readText().catch(() => "");
+        }
+        return Promise.resolve("");
+    }
+
     //-------------------------------------------------------------------------
     // Sound Manager Extension
     //-------------------------------------------------------------------------
@@ -364,55 +1827,635 @@
     };
 
     //-------------------------------------------------------------------------
-    // Plugin Command Registration
+    // Input Device Tracking
     //-------------------------------------------------------------------------
 
-    PluginManager.registerCommand(PLUGIN_NAME, "OpenTextInput", (args) => {
-        const variableId = Number(args.variableId);
-        const label = args.label || "Enter text:";
-        // Use specified maxLines or fallback to default
-        const maxLines = args.maxLines
-            ? Number(args.maxLines)
-            : DEFAULT_MAX_LINES;
-        // Push the text input scene and prepare it with provided parameters
-        SceneManager.push(Scene_TextInput);
-        SceneManager.prepareNextScene(variableId, label, maxLines);
-    });
-
-    PluginManager.registerCommand(PLUGIN_NAME, "SetTextVariable", (args) => {
-        const variableId = Number(args.variableId);
-        const text = args.text || 0; // Default to 0 int if empty, for compatibility with conditional branches
-        $gameVariables.setValue(variableId, text);
-    });
-
-    PluginManager.registerCommand(PLUGIN_NAME, "OpenNameInput", (args) => {
-        const actorId = Number(args.actorId);
-        const label = args.label || "Enter name:";
-        const maxChars = Number(args.defaultMaxCharacters || 12);
-        // Push the name input scene and prepare it with provided parameters
-        SceneManager.push(Scene_NameInput);
-        SceneManager.prepareNextScene(
-            $gameActors.actor(actorId),
-            label,
-            maxChars
-        );
-    });
-
-    //-------------------------------------------------------------------------
-    // Scene for Text Input
-    //-------------------------------------------------------------------------
+    /**
+     * Remembers which device the player used last, so gamepad buttons can
+     * be told apart from keyboard keys that RPG Maker maps to the same name
+     * (e.g. X and Escape both count as "cancel").
+     */
+    const TextInputDevice = {
+        lastDevice: "keyboard",
 
-    class Scene_TextInput extends Scene_MenuBase {
+        /**
+         * Checks if a button was just pressed on the gamepad
+         * @param {string} buttonName - The Input button name
+         * @returns {boolean} True if triggered by the gamepad
+         */
+        isGamepadTriggered(buttonName) {
+            return this.lastDevice === "gamepad" && Input.isTriggered(buttonName);
+        },
+
+        /**
+         * Checks if a button was pressed or is repeating on the gamepad
+         * @param {string} buttonName - The Input button name
+         * @returns {boolean} True if repeated by the gamepad
+         */
+        isGamepadRepeated(buttonName) {
+            return this.lastDevice === "gamepad" && Input.isRepeated(buttonName);
+        }
+    };
+
+    document.addEventListener("keydown", () => {
+        TextInputDevice.lastDevice = "keyboard";
+    }, true);
+
+    document.addEventListener("pointerdown", (event) => {
+        TextInputDevice.lastDevice = event.pointerType === "touch" ? "touch" : "mouse";
+    }, true);
+
+    const _Input_updateGamepadState = Input._updateGamepadState;
+    Input._updateGamepadState = function (gamepad) {
+        const lastState = this._gamepadStates[gamepad.index] || [];
+        _Input_updateGamepadState.call(this, gamepad);
+        const newState = this._gamepadStates[gamepad.index] || [];
+        if (newState.some((pressed, i) => pressed && !lastState[i])) {
+            TextInputDevice.lastDevice = "gamepad";
+        }
+    };
+
+    //-------------------------------------------------------------------------
+    // Input Validation
+    //-------------------------------------------------------------------------
+
+    // Character sets for the Allowed Characters presets
+    const CHARACTER_PRESETS = {
+        alphanumeric: /^[A-Za-z0-9]$/,
+        digits: /^[0-9]$/,
+        kana: /^[\u3040-\u30FF\uFF65-\uFF9F]$/,
+        ascii: /^[\x20-\x7E]$/
+    };
+
+    /**
+     * Checks text against the validation rules of a plugin command.
+     * Line breaks are always allowed and never counted as characters.
+     */
+    class TextInputValidator {
+        /**
+         * @param {object} [rules] - Rules from parseValidationArgs.
+         */
+        constructor(rules = {}) {
+            this._minLength = rules.minLength || 0;
+            this._maxChars = rules.maxChars || 0;
+            this._allowedChars = rules.allowedChars || "any";
+            this._customChars = rules.customChars || "";
+            this._message = rules.message || "";
+            this._custom = rules.custom || null;
+            this._pattern = rules.pattern || null;
+        }
+
+        /**
+         * Counts the characters of a text, not counting line breaks.
+         * @param {string} text - The text to count.
+         * @returns {number}
+         */
+        countChars(text) {
+            return countGraphemes(text.replace(/\n/g, ""));
+        }
+
+        /**
+         * Returns the maximum number of characters, 0 if unlimited.
+         * @returns {number}
+         */
+        maxChars() {
+            return this._maxChars;
+        }
+
+        /**
+         * Checks whether the player may type a character.
+         * @param {string} char - The character to check.
+         * @returns {boolean}
+         */
+        isCharAllowed(char) {
+            if (char === "\n") {
+                return true;
+            }
+            switch (this._allowedChars) {
+                case "custom":
+                    return this._customChars.includes(char);
+                case "alphanumeric":
+                case "digits":
+                case "kana":
+                case "ascii":
+                    return CHARACTER_PRESETS[this._allowedChars].test(char);
+                default:
+                    return true;
+            }
+        }
+
+        /**
+         * Checks whether a text stays within the maximum character count.
+         * @param {string} text - The full text.
+         * @returns {boolean}
+         */
+        fitsLength(text) {
+            return this._maxChars <= 0 || this.countChars(text) <= this._maxChars;
+        }
+
+        /**
+         * Validates the text the player wants to submit.
+         * @param {string} text - The text to validate.
+         * @returns {string} The message to show, or an empty string if valid.
+         */
+        validate(text) {
+            const length = this.countChars(text);
+            if (length < this._minLength) {
+                return VALIDATION_MESSAGES.minLength.format(this._minLength);
+            }
+            if (!this.fitsLength(text)) {
+                return VALIDATION_MESSAGES.maxLength.format(this._maxChars);
+            }
+            if (!splitGraphemes(text).every((char) => this.isCharAllowed(char))) {
+                return VALIDATION_MESSAGES.characters;
+            }
+            if (this._pattern && !this._pattern.test(text)) {
+                return this._message || VALIDATION_MESSAGES.pattern;
+            }
+            if (this._custom) {
+                // Script calls may pass their own check
+                const result = this._custom(text);
+                if (typeof result === "string" && result) {
+                    return result;
+                }
+                if (result === false) {
+                    return this._message || VALIDATION_MESSAGES.pattern;
+                }
+            }
+            return "";
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Answer Checking
+    //-------------------------------------------------------------------------
+
+    /**
+     * Compares the player's answer with the accepted answers of
+     * OpenTextInputCheck.
+     */
+    class TextInputAnswerChecker {
+        /**
+         * @param {object} rules - Rules from parseAnswerCheckArgs.
+         */
+        constructor(rules) {
+            this._ignoreCase = rules.ignoreCase;
+            this._ignoreWhitespace = rules.ignoreWhitespace;
+            this._ignoreAccents = rules.ignoreAccents;
+            this._fuzzyDistance = rules.fuzzyDistance;
+            this._answers = rules.answers.map((answer) => this.normalize(answer));
+        }
+
+        /**
+         * Brings a text to the form answers are compared in.
+         * @param {string} text - The text to normalize.
+         * @returns {string}
+         */
+        normalize(text) {
+            let result = text.trim();
+            if (this._ignoreAccents) {
+                // Split letters from their accents, then drop the accents
+                result = result.normalize("NFD").replace(/\p{M}/gu, "");
+            }
+            if (this._ignoreCase) {
+                result = result.toLowerCase();
+            }
+            if (this._ignoreWhitespace) {
+                result = result.replace(/\s+/g, "");
+            }
+            return result;
+        }
+
+        /**
+         * Finds the accepted answer that matches a text. An exact match
+         * wins, otherwise the closest answer within the fuzzy distance.
+         * @param {string} text - The player's answer.
+         * @returns {number} Index of the matched answer, or -1 if none match.
+         */
+        match(text) {
+            const normalized = this.normalize(text);
+            const exact = this._answers.indexOf(normalized);
+            if (exact >= 0 || this._fuzzyDistance <= 0) {
+                return exact;
+            }
+
+            let bestIndex = -1;
+            let bestDistance = this._fuzzyDistance + 1;
+            this._answers.forEach((answer, index) => {
+                const distance = this.editDistance(normalized, answer);
+                if (distance < bestDistance) {
+                    bestIndex = index;
+                    bestDistance = distance;
+                }
+            });
+            return bestIndex;
+        }
+
+        /**
+         * Counts the characters that must be inserted, removed or changed
+         * to turn one text into another (Levenshtein distance).
+         * @param {string} a - The first text.
+         * @param {string} b - The second text.
+         * @returns {number}
+         */
+        editDistance(a, b) {
+            const source = Array.from(a);
+            const target = Array.from(b);
+            let previous = target.map((_, j) => j + 1);
+            previous.unshift(0);
+            for (let i = 0; i < source.length; i++) {
+                const current = [i + 1];
+                for (let j = 0; j < target.length; j++) {
+                    const cost = source[i] === target[j] ? 0 : 1;
+                    current.push(
+                        Math.min(
+                            previous[j + 1] + 1,
+                            current[j] + 1,
+                            previous[j] + cost
+                        )
+                    );
+                }
+                previous = current;
+            }
+            return previous[target.length];
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Common Event Hooks
+    //-------------------------------------------------------------------------
+
+    /**
+     * Runs the common events of an input: reserves one when it closes, and
+     * runs the change event on its own interpreter while the player types.
+     */
+    class TextInputCommonEvents {
+        /**
+         * @param {object} [hooks] - Settings from parseCommonEventArgs.
+         */
+        constructor(hooks = parseCommonEventArgs({})) {
+            this._submitCommonEventId = hooks.submitCommonEventId || 0;
+            this._cancelCommonEventId = hooks.cancelCommonEventId || 0;
+            this._changeCommonEventId = hooks.changeCommonEventId || 0;
+            this._changeVariableId = hooks.changeVariableId || 0;
+            this._interpreter = null; // Runs the change event inside the input scene
+            this._changeDelay = 0; // Frames left before the change event runs
+            this._changeText = "";
+        }
+
+        /**
+         * Reserves the submit or cancel common event.
+         * @param {boolean} cancelled - Whether the input was cancelled.
+         */
+        reserveClose(cancelled) {
+            const commonEventId = cancelled
+                ? this._cancelCommonEventId
+                : this._submitCommonEventId;
+            if (commonEventId > 0) {
+                $gameTemp.reserveCommonEvent(commonEventId);
+            }
+        }
+
+        /**
+         * Restarts the delay before the change event runs.
+         * @param {string} text - The current text.
+         */
+        requestChange(text) {
+            if (this._changeCommonEventId <= 0) return;
+
+            this._changeText = text;
+            this._changeDelay = CHANGE_DELAY;
+        }
+
+        /**
+         * Counts down the delay and updates the running change event.
+         */
+        update() {
+            if (this._interpreter) {
+                this._interpreter.update();
+            }
+            if (this._changeDelay > 0) {
+                this._changeDelay--;
+                if (this._changeDelay === 0) {
+                    this.startChangeEvent();
+                }
+            }
+        }
+
+        /**
+         * Stores the text and starts the change event, or tries again next
+         * frame while the previous run has not finished.
+         */
+        startChangeEvent() {
+            const commonEvent = $dataCommonEvents[this._changeCommonEventId];
+            if (!commonEvent) return;
+
+            if (this._interpreter && this._interpreter.isRunning()) {
+                this._changeDelay = 1;
+                return;
+            }
+            if (this._changeVariableId > 0) {
+                $gameVariables.setValue(this._changeVariableId, this._changeText || 0);
+            }
+            this._interpreter = this._interpreter || new Game_Interpreter();
+            this._interpreter.setup(commonEvent.list);
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Plugin Command Registration
+    //-------------------------------------------------------------------------
+
+    PluginManager.registerCommand(PLUGIN_NAME, "OpenTextInput", function (args) {
+        const variableId = Number(args.variableId);
+        const label = args.label || "Enter text:";
+        // Use specified maxLines or fallback to default
+        const maxLines = args.maxLines
+            ? Number(args.maxLines)
+            : DEFAULT_MAX_LINES;
+        const options = {
+            ...parseCancelArgs(args),
+            mask: args.mask === "true",
+            allowReveal: args.allowReveal !== "false",
+            showCounter: args.showCounter === "true",
+            richText: args.richText === "true",
+            placeholder: args.placeholder || "",
+            layout: parseLayoutArgs(args),
+            commonEvents: parseCommonEventArgs(args),
+            validation: parseValidationArgs(args)
+        };
+        if (args.editExisting === "true") {
+            options.prefillVariableId = Number(args.sourceVariableId || 0) || variableId;
+            options.cursorStart = args.cursorStart || "end";
+        }
+        if (args.overlay === "true" && Scene_TextInputOverlay.canOpen()) {
+            Scene_TextInputOverlay.open(variableId, label, maxLines, options);
+            this.setWaitMode("textInput");
+            return;
+        }
+        // Push the text input scene and prepare it with provided parameters
+        SceneManager.push(Scene_TextInput);
+        SceneManager.prepareNextScene(variableId, label, maxLines, options);
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "OpenPasswordInput", (args) => {
+        const variableId = Number(args.variableId);
+        const label = args.label || "Enter password:";
+        const options = {
+            ...parseCancelArgs(args),
+            mask: true,
+            allowReveal: args.allowReveal !== "false",
+            validation: { maxChars: Number(args.maxChars || 0) }
+        };
+        // A password is always a single line
+        SceneManager.push(Scene_TextInput);
+        SceneManager.prepareNextScene(variableId, label, 1, options);
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "OpenNumberInput", (args) => {
+        const variableId = Number(args.variableId);
+        const label = args.label || "Enter a number:";
+        const min = Number(args.min || 0);
+        const max = Number(args.max || 0);
+        const options = {
+            ...parseCancelArgs(args),
+            min: Math.min(min, max),
+            max: Math.max(min, max),
+            step: Number(args.step || 1),
+            allowDecimal: args.allowDecimal === "true"
+        };
+        SceneManager.push(Scene_NumberInput);
+        SceneManager.prepareNextScene(variableId, label, options);
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "OpenTextInputCheck", (args) => {
+        const label = args.label || "Enter the answer:";
+        const maxLines = Number(args.maxLines || 1);
+        const options = {
+            ...parseCancelArgs(args),
+            ...parseAnswerCheckArgs(args),
+            inputVariableId: Number(args.inputVariableId || 0)
+        };
+        SceneManager.push(Scene_TextInputCheck);
+        SceneManager.prepareNextScene(label, maxLines, options);
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "OpenTextForm", (args) => {
+        const label = args.label || "";
+        const fields = JSON.parse(args.fields || "[]").map(parseFormFieldStruct);
+        if (fields.length === 0) return;
+
+        SceneManager.push(Scene_TextForm);
+        SceneManager.prepareNextScene(label, fields, parseCancelArgs(args));
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "SetTextVariable", (args) => {
+        const variableId = Number(args.variableId);
+        const text = args.text || 0; // Default to 0 int if empty, for compatibility with conditional branches
+        $gameVariables.setValue(variableId, text);
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "OpenNameInput", (args) => {
+        const actorId = Number(args.actorId);
+        const label = args.label || "Enter name:";
+        const maxChars = Number(args.defaultMaxCharacters || 12);
+        const options = {
+            ...parseCancelArgs(args),
+            placeholder: args.placeholder || "",
+            layout: parseLayoutArgs(args),
+            commonEvents: parseCommonEventArgs(args)
+        };
+        // Push the name input scene and prepare it with provided parameters
+        SceneManager.push(Scene_NameInput);
+        SceneManager.prepareNextScene(
+            $gameActors.actor(actorId),
+            label,
+            maxChars,
+            options
+        );
+    });
+
+    //-------------------------------------------------------------------------
+    // Base Scene for Text and Name Input
+    //-------------------------------------------------------------------------
+
+    /**
+     * Shared by the text and name input scenes: the cancel button and
+     * cancel input, the cancel switch and the on-screen keyboard.
+     */
+    class Scene_TextInputBase extends Scene_MenuBase {
+        /**
+         * Cancels the input on right-click or gamepad B. While the virtual
+         * keyboard is shown, gamepad B belongs to the keyboard instead.
+         * Escape is handled by the input window itself.
+         */
+        updateCancelInput() {
+            if (
+                this._cancelable &&
+                (TouchInput.isCancelled() ||
+                    (!this.isVirtualKeyboardShown() &&
+                        TextInputDevice.isGamepadTriggered("cancel")))
+            ) {
+                TextInputSoundManager.playCancelSound();
+                this.onInputCancel();
+            }
+        }
+
+        /**
+         * Leaves the scene only once. A right-click can reach both the
+         * cancel button and updateCancelInput in the same frame.
+         */
+        popScene() {
+            this._closing = true;
+            super.popScene();
+        }
+
+        /**
+         * Creates the cancel button next to the OK button when cancelling is
+         * allowed, centering both buttons together.
+         */
+        createCancelCommandButton() {
+            if (!this._cancelable) return;
+
+            const width = Graphics.boxWidth * 0.15;
+            const gap = 10;
+            const totalWidth = this._okButton.width + gap + width;
+            this._okButton.x = this._positions.centerX - totalWidth / 2;
+            const x = this._okButton.x + this._okButton.width + gap;
+
+            this._cancelCommandButton = new Window_CancelButton(
+                x,
+                this._positions.buttonY,
+                width,
+                this._buttonHeight
+            );
+
+            this._cancelCommandButton.setHandler("cancel", this.onInputCancel.bind(this));
+            this.addWindow(this._cancelCommandButton);
+        }
+
+        /**
+         * Creates the on-screen keyboard, hidden until it is needed.
+         */
+        createVirtualKeyboard() {
+            if (VIRTUAL_KEYBOARD_MODE === "off") return;
+
+            this._virtualKeyboard = new Window_VirtualKeyboard(this._inputWindow);
+            this._inputHeight = this._inputWindow.height;
+            this.addWindow(this._virtualKeyboard);
+        }
+
+        /**
+         * Shows or hides the on-screen keyboard as the player switches
+         * devices, moving the other windows out of its way.
+         */
+        updateVirtualKeyboard() {
+            const keyboard = this._virtualKeyboard;
+            if (keyboard && keyboard.shouldShow() !== keyboard.visible) {
+                keyboard.setShown(!keyboard.visible);
+                this.layoutForVirtualKeyboard(keyboard.visible);
+            }
+        }
+
+        /**
+         * Checks whether the on-screen keyboard is currently shown.
+         * @returns {boolean}
+         */
+        isVirtualKeyboardShown() {
+            return !!this._virtualKeyboard && this._virtualKeyboard.visible;
+        }
+
+        /**
+         * Moves the windows above the on-screen keyboard, shrinking the input
+         * window if they do not fit, or puts them back when it is hidden.
+         * @param {boolean} shown - Whether the keyboard is shown.
+         */
+        layoutForVirtualKeyboard(shown) {
+            const positions = this._positions;
+            let labelY = positions.labelY;
+            let inputY = positions.inputY;
+            let inputHeight = this._inputHeight;
+            let buttonY = positions.buttonY;
+
+            if (shown) {
+                const keyboardY = this._virtualKeyboard.y;
+                const overlap = buttonY + this._okButton.height - keyboardY;
+                if (overlap > 0) {
+                    labelY = Math.max(0, labelY - overlap);
+                    inputY = labelY + (positions.inputY - positions.labelY);
+                    buttonY = keyboardY - this._okButton.height;
+                    inputHeight = Math.min(inputHeight, buttonY - 10 - inputY);
+                }
+            }
+
+            if (this._labelWindow) {
+                this._labelWindow.y = labelY;
+            }
+            this._inputWindow.relocate(inputY, inputHeight);
+            this._okButton.y = buttonY;
+            if (this._cancelCommandButton) {
+                this._cancelCommandButton.y = buttonY;
+            }
+        }
+
+        /**
+         * Sets the "was cancelled" switch if the command specified one.
+         * @param {boolean} cancelled - Whether the input was cancelled.
+         */
+        setCancelSwitch(cancelled) {
+            if (this._cancelSwitchId > 0) {
+                $gameSwitches.setValue(this._cancelSwitchId, cancelled);
+            }
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Scene for Text Input
+    //-------------------------------------------------------------------------
+
+    class Scene_TextInput extends Scene_TextInputBase {
         /**
          * Prepares the scene with variable id, label, and maximum lines.
          * @param {number} variableId - ID of the variable to store input.
          * @param {string} label - Label text displayed above input.
          * @param {number} maxLines - Maximum number of lines allowed.
+         * @param {object} [options] - Optional settings from the plugin command.
+         * @param {boolean} [options.cancelable] - Whether the player can cancel.
+         * @param {*} [options.cancelValue] - Value stored on cancel, null to keep the variable.
+         * @param {number} [options.cancelSwitchId] - Switch set to whether the input was cancelled.
+         * @param {boolean} [options.mask] - Whether to hide the text behind the mask character.
+         * @param {boolean} [options.allowReveal] - Whether the masked text can be revealed.
+         * @param {object} [options.validation] - Rules for TextInputValidator.
+         * @param {number} [options.prefillVariableId] - Variable whose text is loaded for editing.
+         * @param {string} [options.cursorStart] - "end", "start" or "selectAll" for loaded text.
+         * @param {boolean} [options.showCounter] - Whether to show the line, character and word counter.
+         * @param {string} [options.placeholder] - Hint drawn while the input is empty.
+         * @param {boolean} [options.richText] - Whether to draw escape characters as they appear in messages.
+         * @param {object} [options.layout] - Window size, anchor and label placement from parseLayoutArgs.
+         * @param {string} [options.defaultText] - Text loaded when there is no prefill variable.
+         * @param {Function} [options.onClose] - Called with {text, cancelled} when the input closes.
+         * @param {object} [options.commonEvents] - Common events from parseCommonEventArgs.
          */
-        prepare(variableId, label, maxLines) {
+        prepare(variableId, label, maxLines, options = {}) {
             this._variableId = variableId;
             this._label = label;
             this._maxLines = maxLines;
+            this._cancelable = !!options.cancelable;
+            this._cancelValue =
+                options.cancelValue !== undefined ? options.cancelValue : null;
+            this._cancelSwitchId = options.cancelSwitchId || 0;
+            this._validator = new TextInputValidator(options.validation);
+            this._mask = !!options.mask;
+            this._allowReveal = options.allowReveal !== false;
+            this._prefillVariableId = options.prefillVariableId || 0;
+            this._cursorStart = options.cursorStart || "end";
+            this._showCounter = !!options.showCounter;
+            this._placeholder = options.placeholder || "";
+            this._richText = !!options.richText;
+            this._layout = options.layout || parseLayoutArgs({});
+            this._defaultText = options.defaultText || "";
+            this._onClose = options.onClose || null;
+            this._commonEvents = new TextInputCommonEvents(options.commonEvents);
         }
 
         create() {
@@ -422,9 +2465,18 @@
             this.createLabelWindow();
             this.createInputWindow();
             this.createOkButton();
+            this.createCancelCommandButton();
+            this.createVirtualKeyboard();
             this.setupClickHandler();
         }
 
+        update() {
+            super.update();
+            this.updateVirtualKeyboard();
+            this.updateCancelInput();
+            this._commonEvents.update();
+        }
+
         /**
          * Sets up a click handler to refocus the input when clicking outside windows
          */
@@ -438,8 +2490,13 @@
          * @param {MouseEvent} event - The click event
          */
         handleClick(event) {
-            // Check if click is outside the save window
-            if (this._okButton && !this.isClickInWindow(event, this._okButton)) {
+            // Check if click is outside the save, cancel and keyboard windows
+            if (
+                this._okButton &&
+                !this.isClickInWindow(event, this._okButton) &&
+                !this.isClickInWindow(event, this._cancelCommandButton) &&
+                !this.isClickInWindow(event, this._virtualKeyboard)
+            ) {
                 // Refocus the input
                 if (this._inputWindow && this._inputWindow.focusHtmlInput) {
                     this._inputWindow.focusHtmlInput();
@@ -467,79 +2524,148 @@
         }
 
         /**
-         * Calculates the vertical positions for the label, input, and button windows.
+         * Calculates the positions for the label, input, and button windows.
          */
         calculateWindowPositions() {
-            const labelHeight = Graphics.boxHeight * 0.12;
-            const inputHeight = Graphics.boxHeight * INPUT_HEIGHT_PERCENT;
-            const buttonHeight = Graphics.boxHeight * 0.13;
-            // Total height including padding between windows
-            const totalHeight = labelHeight + inputHeight + buttonHeight + 40;
-            const startY = (Graphics.boxHeight - totalHeight) / 2;
-
-            this._positions = {
-                labelY: startY,
-                inputY: startY + labelHeight + 10,
-                buttonY: startY + labelHeight + inputHeight,
-            };
+            const labelSize = this.labelWindowSize();
+            this._positions = calculateInputLayout(this._layout, {
+                labelWidth: labelSize.width,
+                labelHeight: labelSize.height,
+                inputWidth: this.inputWindowWidth(),
+                inputHeight: this.inputWindowHeight(),
+                buttonHeight: this.okButtonHeight(),
+                // Same height as the default message window
+                messageHeight: this.calcWindowHeight(4, false) + 8
+            });
         }
 
         /**
-         * Creates the label window with the specified text.
+         * Returns the size of a label window that fits the label text.
+         * @returns {{width: number, height: number}}
          */
-        createLabelWindow() {
-            const width = Graphics.boxWidth * INPUT_WIDTH_PERCENT;
-
+        labelWindowSize() {
             // Calculate text dimensions using a temporary window
             const tempWindow = new Window_Base(
-                new Rectangle(0, 0, width, this.calcWindowHeight(1))
+                new Rectangle(0, 0, Graphics.boxWidth, this.calcWindowHeight(1))
             );
             const textSize = tempWindow.textSizeEx(this._label);
-            const textHeight = textSize.height;
-            const textWidth = textSize.width;
             const padding = tempWindow.padding * 2;
-            const height = textHeight + padding;
             tempWindow.destroy();
 
-            const x = (Graphics.boxWidth - width) / 2;
+            return {
+                width: textSize.width + padding,
+                height: textSize.height + padding
+            };
+        }
+
+        /**
+         * Creates the label window with the specified text. A label placed
+         * inside the input is drawn by the input window instead.
+         */
+        createLabelWindow() {
+            if (this._layout.labelPlacement === "inside") return;
 
+            const { labelX, labelY, labelWidth, labelHeight } = this._positions;
             this._labelWindow = new Window_Base(
-                new Rectangle(x, this._positions.labelY, width, height)
+                new Rectangle(labelX, labelY, labelWidth, labelHeight)
             );
 
             // Calculate the starting position for the text to be centered
-            const textX = Math.max(0, (width - padding - textWidth) / 2);
-            const textY = (height - padding - textHeight) / 2;
+            const textSize = this._labelWindow.textSizeEx(this._label);
+            const padding = this._labelWindow.padding * 2;
+            const textX = Math.max(0, (labelWidth - padding - textSize.width) / 2);
+            const textY = (labelHeight - padding - textSize.height) / 2;
 
-            this._labelWindow.drawTextEx(this._label, textX, textY, width);
+            this._labelWindow.drawTextEx(this._label, textX, textY, labelWidth);
             this.addWindow(this._labelWindow);
+        }
 
-            // Recalculate input and button positions based on the actual label height
-            this._positions.inputY = this._positions.labelY + height + 10;
-            this._positions.buttonY =
-                this._positions.inputY +
-                Graphics.boxHeight * INPUT_HEIGHT_PERCENT +
-                10;
+        /**
+         * Returns the width of the input window.
+         * @returns {number}
+         */
+        inputWindowWidth() {
+            return resolveLayoutSize(
+                this._layout.width,
+                Graphics.boxWidth,
+                Graphics.boxWidth * INPUT_WIDTH_PERCENT
+            );
         }
 
         /**
-         * Creates the text input window.
+         * Returns the height of the input window.
+         * @returns {number}
          */
-        createInputWindow() {
-            const width = Graphics.boxWidth * INPUT_WIDTH_PERCENT;
-            const height = Graphics.boxHeight * INPUT_HEIGHT_PERCENT;
-            const x = (Graphics.boxWidth - width) / 2;
+        inputWindowHeight() {
+            return resolveLayoutSize(
+                this._layout.height,
+                Graphics.boxHeight,
+                Graphics.boxHeight * INPUT_HEIGHT_PERCENT
+            );
+        }
 
-            this._inputWindow = new Window_TextInput(
-                x,
+        /**
+         * Returns the height of the OK and cancel buttons.
+         * @returns {number}
+         */
+        okButtonHeight() {
+            return this.calcWindowHeight(1, false) + 20;
+        }
+
+        /**
+         * Creates the text input window.
+         */
+        createInputWindow() {
+            this._inputWindow = this.makeInputWindow(
+                this._positions.inputX,
                 this._positions.inputY,
-                width,
-                height,
-                this._maxLines
+                this.inputWindowWidth(),
+                this.inputWindowHeight()
             );
+            if (this._layout.labelPlacement === "inside") {
+                this._inputWindow.setTitle(this._label);
+            }
+            this._inputWindow.setValidator(this._validator);
+            this._inputWindow.setMasked(this._mask, this._allowReveal);
+            this._inputWindow.setCounterVisible(this._showCounter);
+            this._inputWindow.setPlaceholder(this._placeholder);
+            this._inputWindow.setRichText(this._richText);
+            this._inputWindow.setHandler("ok", this.onInputOk.bind(this));
+            this._inputWindow.setHandler("change", this.onInputChange.bind(this));
+            if (this._cancelable) {
+                this._inputWindow.setHandler("cancel", this.onInputCancel.bind(this));
+            }
+            this.prefillInputWindow();
             this.addWindow(this._inputWindow);
         }
 
+        /**
+         * Loads the text of the prefill variable, or the default text, into
+         * the input window. The number 0 is what an empty input stores, so
+         * it loads as empty.
+         */
+        prefillInputWindow() {
+            if (this._prefillVariableId > 0) {
+                const value = $gameVariables.value(this._prefillVariableId);
+                const text = value === 0 ? "" : String(value);
+                this._inputWindow.setText(text, this._cursorStart);
+            } else if (this._defaultText) {
+                this._inputWindow.setText(this._defaultText, this._cursorStart);
+            }
+        }
+
+        /**
+         * Constructs the input window for createInputWindow.
+         * @param {number} x - x-coordinate of the window.
+         * @param {number} y - y-coordinate of the window.
+         * @param {number} width - Width of the window.
+         * @param {number} height - Height of the window.
+         * @returns {Window_TextInput}
+         */
+        makeInputWindow(x, y, width, height) {
+            return new Window_TextInput(x, y, width, height, this._maxLines);
+        }
+
         /**
          * Creates the OK button window and assigns its handler.
          */
@@ -548,16 +2674,15 @@
             const tempWindow = new Window_Base(
                 new Rectangle(0, 0, 200, this.calcWindowHeight(1))
             );
-            const textHeight = tempWindow.lineHeight();
             const helpWidth = tempWindow.textWidth(INPUT_SAVE_HELP_TEXT);
-            const padding = tempWindow.padding * 2;
 
             // Set minimum dimensions while allowing for content-based sizing
             const width = Math.max(Graphics.boxWidth * 0.15, helpWidth + 20);
-            const height = textHeight + padding + 20;
+            const height = this.okButtonHeight();
             tempWindow.destroy();
 
-            const x = (Graphics.boxWidth - width) / 2;
+            // Center the button under the input window
+            const x = this._positions.centerX - width / 2;
 
             this._okButton = new Window_OkButton(
                 x,
@@ -568,6 +2693,7 @@
 
             this._okButton.setHandler("ok", this.onInputOk.bind(this));
             this.addWindow(this._okButton);
+            this._buttonHeight = height;
         }
 
         /**
@@ -575,17 +2701,78 @@
          * Saves the entered text to the specified game variable and exits the scene.
          */
         onInputOk() {
-            const text = this._inputWindow.inputText().trim() || 0; // Default to 0 int if empty, for compatibility with conditional branches
-            $gameVariables.setValue(this._variableId, text);
+            if (this._closing) return;
+
+            const inputText = this._inputWindow.inputText().trim();
+            const error = this._validator.validate(inputText);
+            if (error) {
+                // Keep the scene open and explain what is wrong
+                TextInputSoundManager.playErrorSound();
+                this._okButton.setErrorText(error);
+                this._inputWindow.focusHtmlInput();
+                return;
+            }
+
+            const text = inputText || 0; // Default to 0 int if empty, for compatibility with conditional branches
+            if (this._variableId > 0) {
+                $gameVariables.setValue(this._variableId, text);
+            }
+            this.setCancelSwitch(false);
+            this._commonEvents.reserveClose(false);
+            this.callCloseHandler(inputText, false);
+            this.popScene();
+        }
+
+        /**
+         * Called when the text changes. Hides the validation message so it
+         * does not linger after the player starts fixing the input, and
+         * schedules the change common event.
+         */
+        onInputChange() {
+            if (this._okButton) {
+                this._okButton.setErrorText("");
+            }
+            this._commonEvents.requestChange(this._inputWindow.inputText());
+        }
+
+        /**
+         * Called when the input is cancelled.
+         * Stores the cancel value if one is set and exits the scene.
+         */
+        onInputCancel() {
+            if (this._closing) return;
+
+            if (this._cancelValue !== null && this._variableId > 0) {
+                $gameVariables.setValue(this._variableId, this._cancelValue);
+            }
+            this.setCancelSwitch(true);
+            this._commonEvents.reserveClose(true);
+            this.callCloseHandler("", true);
             this.popScene();
         }
 
+        /**
+         * Passes the result to the script call that opened the input. It is
+         * only called once.
+         * @param {string} text - The entered text.
+         * @param {boolean} cancelled - Whether the input was cancelled.
+         */
+        callCloseHandler(text, cancelled) {
+            if (this._onClose) {
+                const onClose = this._onClose;
+                this._onClose = null;
+                onClose({ text: text, cancelled: cancelled });
+            }
+        }
+
         terminate() {
             // Remove the click event listener
             if (this._boundHandleClick) {
                 document.removeEventListener('click', this._boundHandleClick);
                 this._boundHandleClick = null;
             }
+            // A scene change that skipped OK and cancel still ends the script call
+            this.callCloseHandler("", true);
             
             super.terminate();
             // Ensure the HTML input element is properly cleaned up
@@ -595,11 +2782,460 @@
         }
     }
 
-    class Scene_NameInput extends Scene_MenuBase {
-        prepare(actor, label, maxChars) {
+    //-------------------------------------------------------------------------
+    // Scene for Number Input
+    //-------------------------------------------------------------------------
+
+    class Scene_NumberInput extends Scene_TextInput {
+        /**
+         * Prepares the scene with variable id, label and number range.
+         * @param {number} variableId - ID of the variable to store the number.
+         * @param {string} label - Label text displayed above input.
+         * @param {object} [options] - Optional settings from the plugin command.
+         * @param {number} [options.min] - Smallest value that can be stored.
+         * @param {number} [options.max] - Largest value that can be stored.
+         * @param {number} [options.step] - Amount changed by Up/Down.
+         * @param {boolean} [options.allowDecimal] - Whether a decimal point can be typed.
+         */
+        prepare(variableId, label, options = {}) {
+            // Numbers are always a single line and never masked
+            super.prepare(variableId, label, 1, {
+                cancelable: options.cancelable,
+                cancelValue: options.cancelValue,
+                cancelSwitchId: options.cancelSwitchId
+            });
+            this._numberOptions = options;
+        }
+
+        /**
+         * Returns a height that fits a single line.
+         * @returns {number}
+         */
+        inputWindowHeight() {
+            return this.calcWindowHeight(2, false);
+        }
+
+        makeInputWindow(x, y, width, height) {
+            return new Window_NumberInput(x, y, width, height, this._numberOptions);
+        }
+
+        /**
+         * Numbers have no virtual keyboard, Up/Down step them instead.
+         */
+        createVirtualKeyboard() {
+            // Intentionally empty: gamepad Up/Down already edit the number
+        }
+
+        /**
+         * Called when OK button is activated.
+         * Saves the clamped number to the variable and exits the scene.
+         */
+        onInputOk() {
+            if (this._closing) return;
+
+            $gameVariables.setValue(this._variableId, this._inputWindow.value());
+            this.setCancelSwitch(false);
+            this._commonEvents.reserveClose(false);
+            this.popScene();
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Scene for Answer Checking
+    //-------------------------------------------------------------------------
+
+    class Scene_TextInputCheck extends Scene_TextInput {
+        /**
+         * Prepares the scene with label, maximum lines and answer rules.
+         * @param {string} label - Label text displayed above input.
+         * @param {number} maxLines - Maximum number of lines allowed.
+         * @param {object} options - Settings from the plugin command.
+         * @param {string[]} options.answers - Answers that count as correct.
+         * @param {number} options.attempts - Answers allowed before closing.
+         * @param {string} options.wrongMessage - Message after a wrong answer.
+         * @param {number} options.successSwitchId - Switch set to whether the answer was correct.
+         * @param {number} options.matchVariableId - Variable for the matched answer number.
+         * @param {number} options.inputVariableId - Variable for the typed text.
+         */
+        prepare(label, maxLines, options) {
+            super.prepare(options.inputVariableId, label, maxLines, {
+                cancelable: options.cancelable,
+                cancelSwitchId: options.cancelSwitchId
+            });
+            this._checker = new TextInputAnswerChecker(options);
+            this._attemptsLeft = options.attempts;
+            this._wrongMessage = options.wrongMessage;
+            this._successSwitchId = options.successSwitchId;
+            this._matchVariableId = options.matchVariableId;
+        }
+
+        /**
+         * Called when OK button is activated.
+         * Checks the answer, and either closes the scene with the result or
+         * lets the player try again.
+         */
+        onInputOk() {
+            if (this._closing) return;
+
+            const inputText = this._inputWindow.inputText().trim();
+            const matchIndex = this._checker.match(inputText);
+            if (matchIndex < 0) {
+                this._attemptsLeft--;
+                TextInputSoundManager.playErrorSound();
+                if (this._attemptsLeft > 0) {
+                    this._okButton.setErrorText(
+                        this._wrongMessage.format(this._attemptsLeft)
+                    );
+                    // Select the answer so the next one replaces it
+                    this._inputWindow.selectAll();
+                    this._inputWindow.focusHtmlInput();
+                    return;
+                }
+            }
+
+            if (this._variableId > 0) {
+                $gameVariables.setValue(this._variableId, inputText || 0);
+            }
+            this.setCheckResult(matchIndex);
+            this.setCancelSwitch(false);
+            this._commonEvents.reserveClose(false);
+            this.popScene();
+        }
+
+        /**
+         * Called when the input is cancelled. Counts as a wrong answer.
+         */
+        onInputCancel() {
+            if (this._closing) return;
+
+            this.setCheckResult(-1);
+            super.onInputCancel();
+        }
+
+        /**
+         * Stores the result in the success switch and matched answer variable.
+         * @param {number} matchIndex - Index of the matched answer, or -1.
+         */
+        setCheckResult(matchIndex) {
+            if (this._successSwitchId > 0) {
+                $gameSwitches.setValue(this._successSwitchId, matchIndex >= 0);
+            }
+            if (this._matchVariableId > 0) {
+                $gameVariables.setValue(this._matchVariableId, matchIndex + 1);
+            }
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Scene for Text Forms
+    //-------------------------------------------------------------------------
+
+    class Scene_TextForm extends Scene_TextInput {
+        /**
+         * Prepares the scene with a label and the form fields.
+         * @param {string} label - Label text displayed above the form.
+         * @param {object[]} fields - Fields from parseFormFieldStruct.
+         * @param {object} [options] - Cancel settings from the plugin command.
+         */
+        prepare(label, fields, options = {}) {
+            super.prepare(0, label, 1, {
+                cancelable: options.cancelable,
+                cancelSwitchId: options.cancelSwitchId
+            });
+            this._fields = fields;
+            this._fieldIndex = 0;
+        }
+
+        /**
+         * Returns the height of all fields stacked together.
+         * @returns {number}
+         */
+        inputWindowHeight() {
+            return this._fields.reduce(
+                (height, field) => height + this.fieldHeight(field),
+                0
+            );
+        }
+
+        /**
+         * Returns the height of one field's window.
+         * @param {object} field - The field settings.
+         * @returns {number}
+         */
+        fieldHeight(field) {
+            return this.calcWindowHeight(field.lines + 1, false);
+        }
+
+        /**
+         * Creates a label and an input window for every field, one below
+         * the other, and focuses the first field.
+         */
+        createInputWindow() {
+            const width = Graphics.boxWidth * INPUT_WIDTH_PERCENT;
+            const x = (Graphics.boxWidth - width) / 2;
+            const labelWidth = Math.floor(width * 0.3);
+            let y = this._positions.inputY;
+
+            this._fieldLabelWindows = [];
+            this._fieldWindows = [];
+            this._fieldValidators = [];
+            this._fields.forEach((field, index) => {
+                const height = this.fieldHeight(field);
+                const labelWindow = new Window_Base(
+                    new Rectangle(x, y, labelWidth, height)
+                );
+                // Line up the label with the field's first line of text
+                labelWindow.drawText(
+                    field.label,
+                    0,
+                    labelWindow.padding,
+                    labelWindow.contentsWidth()
+                );
+                this.addWindow(labelWindow);
+                this._fieldLabelWindows.push(labelWindow);
+
+                const window = this.makeFieldWindow(
+                    field,
+                    index,
+                    x + labelWidth,
+                    y,
+                    width - labelWidth,
+                    height
+                );
+                this.addWindow(window);
+                this._fieldWindows.push(window);
+                y += height;
+            });
+            this.focusField(0);
+        }
+
+        /**
+         * Constructs the input window of a field and connects its handlers.
+         * @param {object} field - The field settings.
+         * @param {number} index - Index of the field.
+         * @param {number} x - x-coordinate of the window.
+         * @param {number} y - y-coordinate of the window.
+         * @param {number} width - Width of the window.
+         * @param {number} height - Height of the window.
+         * @returns {Window_TextInput}
+         */
+        makeFieldWindow(field, index, x, y, width, height) {
+            let window;
+            let validator = null;
+            if (field.type === "number") {
+                window = new Window_NumberInput(x, y, width, height, {
+                    min: field.min,
+                    max: field.max,
+                    step: 1,
+                    allowDecimal: false
+                });
+            } else {
+                window = new Window_TextInput(x, y, width, height, field.lines);
+                validator = new TextInputValidator({
+                    minLength: field.minLength,
+                    maxChars: field.maxChars
+                });
+                window.setValidator(validator);
+                window.setMasked(field.type === "password", true);
+            }
+            this._fieldValidators.push(validator);
+
+            window.setText(field.defaultValue);
+            window.setHandler("ok", this.onInputOk.bind(this));
+            window.setHandler("change", this.onInputChange.bind(this));
+            window.setHandler("focus", this.focusField.bind(this, index));
+            window.setHandler("tab", this.moveFocus.bind(this, 1));
+            window.setHandler("shiftTab", this.moveFocus.bind(this, -1));
+            if (this._cancelable) {
+                window.setHandler("cancel", this.onInputCancel.bind(this));
+            }
+            window.deactivate();
+            return window;
+        }
+
+        /**
+         * Moves the focus to a field. Only the focused field shows its
+         * cursor and receives typing.
+         * @param {number} index - Index of the field.
+         */
+        focusField(index) {
+            this._fieldWindows.forEach((window, i) => {
+                if (i === index) {
+                    window.activate();
+                } else {
+                    window.deactivate();
+                }
+            });
+            this._fieldIndex = index;
+            // Scene_TextInput refocuses _inputWindow on clicks elsewhere
+            this._inputWindow = this._fieldWindows[index];
+            this._inputWindow.focusHtmlInput();
+        }
+
+        /**
+         * Moves the focus to the next or previous field, wrapping around.
+         * @param {number} direction - 1 for the next field, -1 for the previous.
+         */
+        moveFocus(direction) {
+            const count = this._fieldWindows.length;
+            TextInputSoundManager.playCursorSound();
+            this.focusField((this._fieldIndex + direction + count) % count);
+        }
+
+        /**
+         * Forms have no virtual keyboard.
+         */
+        createVirtualKeyboard() {
+            // Intentionally empty: the keyboard only types into one window
+        }
+
+        /**
+         * Called when OK button is activated.
+         * Validates every field, then saves them all and exits the scene.
+         */
+        onInputOk() {
+            if (this._closing) return;
+
+            for (let i = 0; i < this._fields.length; i++) {
+                const validator = this._fieldValidators[i];
+                const text = this._fieldWindows[i].inputText().trim();
+                const error = validator ? validator.validate(text) : "";
+                if (error) {
+                    TextInputSoundManager.playErrorSound();
+                    this._okButton.setErrorText(`${this._fields[i].label}: ${error}`);
+                    this.focusField(i);
+                    return;
+                }
+            }
+
+            this._fields.forEach((field, i) => {
+                if (field.variableId > 0) {
+                    $gameVariables.setValue(field.variableId, this.fieldValue(i));
+                }
+            });
+            this.setCancelSwitch(false);
+            this._commonEvents.reserveClose(false);
+            this.popScene();
+        }
+
+        /**
+         * Returns the value to store for a field.
+         * @param {number} index - Index of the field.
+         * @returns {string|number}
+         */
+        fieldValue(index) {
+            const window = this._fieldWindows[index];
+            if (this._fields[index].type === "number") {
+                return window.value();
+            }
+            return window.inputText().trim() || 0;
+        }
+
+        terminate() {
+            super.terminate();
+            // Scene_TextInput only destroys the focused field
+            this._fieldWindows.forEach((window) => {
+                if (window !== this._inputWindow) {
+                    window.destroy();
+                }
+            });
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Overlay for Text Input on the Map or in Battle
+    //-------------------------------------------------------------------------
+
+    /**
+     * Scene_TextInput drawn over the current Scene_Map or Scene_Battle
+     * instead of being pushed. It is added as a child of that scene, which
+     * updates it every frame and stops its own processing while it is open.
+     */
+    class Scene_TextInputOverlay extends Scene_TextInput {
+        /**
+         * Checks whether the current scene can host an overlay.
+         * @returns {boolean}
+         */
+        static canOpen() {
+            const scene = SceneManager._scene;
+            return (
+                (scene instanceof Scene_Map || scene instanceof Scene_Battle) &&
+                !scene._textInputOverlay
+            );
+        }
+
+        /**
+         * Opens the overlay on the current scene. Set the interpreter's wait
+         * mode to "textInput" to wait until it closes.
+         * @param {...*} args - Arguments for Scene_TextInput#prepare.
+         */
+        static open(...args) {
+            const scene = SceneManager._scene;
+            const overlay = new Scene_TextInputOverlay();
+            overlay.prepare(...args);
+            overlay.create();
+            overlay.deactivateHostWindows(scene);
+            scene.addChild(overlay);
+            scene._textInputOverlay = overlay;
+        }
+
+        /**
+         * Deactivates the active windows of the host scene, like a battle
+         * command window, so they do not take the player's input.
+         * @param {Scene_Base} scene - The scene the overlay opens on.
+         */
+        deactivateHostWindows(scene) {
+            const windows = scene._windowLayer ? scene._windowLayer.children : [];
+            this._hostWindows = windows.filter((window) => window.active);
+            for (const window of this._hostWindows) {
+                window.deactivate();
+            }
+        }
+
+        /**
+         * Gives the host scene's windows back the input they had.
+         */
+        activateHostWindows() {
+            for (const window of this._hostWindows) {
+                window.activate();
+            }
+            this._hostWindows = [];
+        }
+
+        /**
+         * Keeps the map or battle visible instead of a blurred snapshot.
+         */
+        createBackground() {
+            // Intentionally empty
+        }
+
+        /**
+         * Closes the overlay instead of leaving the scene. Calls after the
+         * first are ignored, since the overlay is already destroyed.
+         */
+        popScene() {
+            if (this._closing || !this.parent) return;
+
+            const scene = this.parent;
+            this._closing = true;
+            this.terminate();
+            this.activateHostWindows();
+            scene.removeChild(this);
+            scene._textInputOverlay = null;
+            this.destroy();
+        }
+    }
+
+    class Scene_NameInput extends Scene_TextInputBase {
+        prepare(actor, label, maxChars, options = {}) {
             this._label = label;
             this._actor = actor;
             this._maxChars = maxChars;
+            this._cancelable = !!options.cancelable;
+            this._cancelSwitchId = options.cancelSwitchId || 0;
+            this._placeholder = options.placeholder || "";
+            this._layout = options.layout || parseLayoutArgs({});
+            this._commonEvents = new TextInputCommonEvents(options.commonEvents);
         }
 
         create() {
@@ -609,9 +3245,18 @@
             this.createLabelWindow();
             this.createInputWindow();
             this.createOkButton();
+            this.createCancelCommandButton();
+            this.createVirtualKeyboard();
             this.setupClickHandler();
         }
 
+        update() {
+            super.update();
+            this.updateVirtualKeyboard();
+            this.updateCancelInput();
+            this._commonEvents.update();
+        }
+
         /**
          * Sets up a click handler to refocus the input when clicking outside windows
          */
@@ -625,8 +3270,13 @@
          * @param {MouseEvent} event - The click event
          */
         handleClick(event) {
-            // Check if click is outside the save window
-            if (this._okButton && !this.isClickInWindow(event, this._okButton)) {
+            // Check if click is outside the save, cancel and keyboard windows
+            if (
+                this._okButton &&
+                !this.isClickInWindow(event, this._okButton) &&
+                !this.isClickInWindow(event, this._cancelCommandButton) &&
+                !this.isClickInWindow(event, this._virtualKeyboard)
+            ) {
                 // Refocus the input
                 if (this._inputWindow && this._inputWindow.focusHtmlInput) {
                     this._inputWindow.focusHtmlInput();
@@ -654,46 +3304,88 @@
         }
 
         calculateWindowPositions() {
-            const labelHeight = Graphics.boxHeight * 0.12;
-            // Set height to match face height plus padding
-            const inputHeight = ImageManager.faceHeight + 20;
-            const buttonHeight = Graphics.boxHeight * 0.13;
-            const totalHeight = labelHeight + inputHeight + buttonHeight + 40;
-            const startY = (Graphics.boxHeight - totalHeight) / 2;
-
-            this._positions = {
-                labelY: startY,
-                inputY: startY + labelHeight + 10,
-                buttonY: startY + labelHeight + inputHeight + 20,
-            };
-        }
+            const tempWindow = new Window_Base(new Rectangle(0, 0, 0, 0));
+            const labelWidth = tempWindow.textWidth(this._label) + tempWindow.padding * 2;
+            tempWindow.destroy();
 
-        createLabelWindow() {
-            const width = Graphics.boxWidth * INPUT_WIDTH_PERCENT;
-            const x = (Graphics.boxWidth - width) / 2;
-            const height = this.calcWindowHeight(1);
+            this._positions = calculateInputLayout(this._layout, {
+                labelWidth: labelWidth,
+                labelHeight: this.calcWindowHeight(1),
+                inputWidth: this.inputWindowWidth(),
+                inputHeight: this.inputWindowHeight(),
+                buttonHeight: this.okButtonHeight(),
+                // Same height as the default message window
+                messageHeight: this.calcWindowHeight(4, false) + 8
+            });
+        }
 
-            this._labelWindow = new Window_Base(
-                new Rectangle(x, this._positions.labelY, width, height)
+        /**
+         * Returns the width of the input window.
+         * @returns {number}
+         */
+        inputWindowWidth() {
+            return resolveLayoutSize(
+                this._layout.width,
+                Graphics.boxWidth,
+                Graphics.boxWidth * INPUT_WIDTH_PERCENT
             );
-            this._labelWindow.drawText(this._label, 0, 0, width, "center");
-            this.addWindow(this._labelWindow);
         }
 
-        createInputWindow() {
-            const width = Graphics.boxWidth * INPUT_WIDTH_PERCENT;
-            // Set height to match face height plus padding
-            const height = ImageManager.faceHeight + 20;
-            const x = (Graphics.boxWidth - width) / 2;
+        /**
+         * Returns the height of the input window, fitting the face by default.
+         * @returns {number}
+         */
+        inputWindowHeight() {
+            return resolveLayoutSize(
+                this._layout.height,
+                Graphics.boxHeight,
+                ImageManager.faceHeight + 20
+            );
+        }
+
+        /**
+         * Returns the height of the OK and cancel buttons.
+         * @returns {number}
+         */
+        okButtonHeight() {
+            return this.calcWindowHeight(1, false) + 20;
+        }
+
+        createLabelWindow() {
+            if (this._layout.labelPlacement === "inside") return;
+
+            const { labelX, labelY, labelWidth, labelHeight } = this._positions;
+            this._labelWindow = new Window_Base(
+                new Rectangle(labelX, labelY, labelWidth, labelHeight)
+            );
+            this._labelWindow.drawText(
+                this._label,
+                0,
+                0,
+                this._labelWindow.contentsWidth(),
+                "center"
+            );
+            this.addWindow(this._labelWindow);
+        }
 
+        createInputWindow() {
             this._inputWindow = new Window_NameInput(
-                x,
+                this._positions.inputX,
                 this._positions.inputY,
-                width,
-                height,
+                this.inputWindowWidth(),
+                this.inputWindowHeight(),
                 this._actor,
                 this._maxChars
             );
+            if (this._layout.labelPlacement === "inside") {
+                this._inputWindow.setTitle(this._label);
+            }
+            this._inputWindow.setPlaceholder(this._placeholder);
+            this._inputWindow.setHandler("ok", this.onInputOk.bind(this));
+            this._inputWindow.setHandler("change", this.onInputChange.bind(this));
+            if (this._cancelable) {
+                this._inputWindow.setHandler("cancel", this.onInputCancel.bind(this));
+            }
             this.addWindow(this._inputWindow);
         }
 
@@ -702,16 +3394,15 @@
             const tempWindow = new Window_Base(
                 new Rectangle(0, 0, 200, this.calcWindowHeight(1))
             );
-            const textHeight = tempWindow.lineHeight();
             const helpWidth = tempWindow.textWidth(INPUT_SAVE_HELP_TEXT);
-            const padding = tempWindow.padding * 2;
 
             // Set minimum dimensions while allowing for content-based sizing
             const width = Math.max(Graphics.boxWidth * 0.15, helpWidth + 20);
-            const height = textHeight + padding + 20;
+            const height = this.okButtonHeight();
             tempWindow.destroy();
 
-            const x = (Graphics.boxWidth - width) / 2;
+            // Center the button under the input window
+            const x = this._positions.centerX - width / 2;
 
             this._okButton = new Window_OkButton(
                 x,
@@ -722,16 +3413,39 @@
 
             this._okButton.setHandler("ok", this.onInputOk.bind(this));
             this.addWindow(this._okButton);
+            this._buttonHeight = height;
         }
 
         onInputOk() {
+            if (this._closing) return;
+
             const name = this._inputWindow.inputText().trim();
             if (name) {
                 this._actor.setName(name);
+                this.setCancelSwitch(false);
+                this._commonEvents.reserveClose(false);
                 this.popScene();
             }
         }
 
+        /**
+         * Called when the name changes. Schedules the change common event.
+         */
+        onInputChange() {
+            this._commonEvents.requestChange(this._inputWindow.inputText());
+        }
+
+        /**
+         * Called when the input is cancelled. Leaves the name unchanged.
+         */
+        onInputCancel() {
+            if (this._closing) return;
+
+            this.setCancelSwitch(true);
+            this._commonEvents.reserveClose(true);
+            this.popScene();
+        }
+
         terminate() {
             // Remove the click event listener
             if (this._boundHandleClick) {
@@ -740,6 +3454,10 @@
             }
             
             super.terminate();
+            // Ensure the HTML input element is properly cleaned up
+            if (this._inputWindow) {
+                this._inputWindow.destroy();
+            }
         }
     }
 
@@ -759,12 +3477,37 @@
         initialize(x, y, width, height, maxLines) {
             super.initialize(new Rectangle(x, y, width, height));
             this._maxLines = maxLines;
-            this._lines = [""]; // Array holding each line of text
-            this._cursorX = 0; // Horizontal cursor position (character index)
+            this._lines = [""]; // Array holding each visual line of text
+            this._softBreaks = [false]; // Whether each line wraps into the next
+            this._cursorX = 0; // Horizontal cursor position (UTF-16 index on a grapheme boundary)
             this._cursorY = 0; // Vertical cursor position (line index)
             this._cursorVisible = true; // For blinking effect
             this._blinkTimer = 0;
-            this._visibleStartLine = 0; // The first line currently visible
+            this._visibleStartLine = 0; // The first line currently visible (scroll offset)
+            this._scrolledCursor = ""; // Cursor position the view last followed
+            this._verticalMove = null; // Cursor and x-coordinate kept across up/down moves
+            this._swipeStartY = null; // Touch y where a swipe scroll started
+            this._swipeStartLine = 0; // Scroll offset when the swipe started
+            this._isScrollbarDragging = false; // True while the scrollbar is dragged
+            this._selectionAnchor = null; // Position where the selection started
+            this._isDragging = false; // True while a touch drag is selecting
+            this._clickCount = 0; // Consecutive clicks for word/line selection
+            this._lastClickFrame = -MULTI_CLICK_FRAMES;
+            this._lastClickLine = -1;
+            this._undoStack = []; // Snapshots to restore with undo
+            this._redoStack = []; // Snapshots to restore with redo
+            this._lastEditKind = null; // Kind of the last edit, for merging
+            this._changedText = ""; // Text the "change" handler was last called for
+            this._handlers = {}; // Scene callbacks such as "ok", "cancel", "change" and "tab"
+            this._validator = null; // Optional TextInputValidator
+            this._masked = false; // Whether the text is drawn as mask characters
+            this._allowReveal = false; // Whether the player may unmask the text
+            this._revealed = false; // Whether masked text is currently shown
+            this._showCounter = false; // Whether the bottom row shows the counter
+            this._placeholder = ""; // Hint drawn while the input is empty
+            this._title = ""; // Label drawn in the top row
+            this._richText = false; // Whether escapes can be previewed
+            this._previewShown = false; // Whether escapes are drawn instead of the source
 
             this.refresh();
             this.activate();
@@ -775,29 +3518,129 @@
          * Draws the text lines and calculates which lines are visible.
          */
         drawTextLines() {
-            const maxVisibleLines = Math.floor(
-                (this.height - this.padding * 2) / this.lineHeight()
-            );
-            // Center the view on the current cursor position
-            let startLine = this._cursorY - Math.floor(maxVisibleLines / 2);
-            startLine = Math.max(0, startLine);
-            if (startLine + maxVisibleLines > this._lines.length) {
-                startLine = Math.max(0, this._lines.length - maxVisibleLines);
-            }
-            this._visibleStartLine = startLine;
+            const maxVisibleLines = this.maxVisibleLines();
+            this.updateScrollToCursor();
+            const startLine = this._visibleStartLine;
 
             for (let i = 0; i < maxVisibleLines; i++) {
                 const lineIndex = startLine + i;
                 if (lineIndex < this._lines.length) {
-                    this.drawText(
+                    this.drawSelection(lineIndex);
+                    this.drawLineText(
                         this._lines[lineIndex],
-                        this.padding,
-                        this.padding + i * this.lineHeight()
+                        this.lineOriginX(lineIndex),
+                        this.lineOriginY(lineIndex)
                     );
                 }
             }
         }
 
+        /**
+         * Returns text the way it is drawn: as mask characters while the
+         * input is masked, or unchanged otherwise.
+         * @param {string} text - The real text.
+         * @returns {string}
+         */
+        displayText(text) {
+            if (this.isMaskShown()) {
+                return MASK_CHARACTER.repeat(countGraphemes(text));
+            }
+            return text;
+        }
+
+        /**
+         * Returns the drawn width of a piece of the real text.
+         * @param {string} text - The real text.
+         * @returns {number}
+         */
+        displayWidth(text) {
+            if (this.isPreviewShown()) {
+                return this.textSizeEx(text).width;
+            }
+            return this.textWidth(this.displayText(text));
+        }
+
+        /**
+         * Draws a piece of the real text, rendering its escape characters
+         * while the rich text preview is shown.
+         * @param {string} text - The real text.
+         * @param {number} x - x-coordinate in the contents.
+         * @param {number} y - y-coordinate in the contents.
+         */
+        drawLineText(text, x, y) {
+            if (this.isPreviewShown()) {
+                this.drawTextEx(text, x, y, this.contentsWidth() - x);
+            } else {
+                this.drawText(this.displayText(text), x, y);
+            }
+        }
+
+        /**
+         * Returns the number of lines that fit inside the window.
+         * @returns {number}
+         */
+        maxVisibleLines() {
+            const lines = Math.floor(
+                (this.height - this.padding * 2 - this.titleHeight()) /
+                    this.lineHeight()
+            );
+            // The counter takes the bottom row
+            return this._showCounter ? Math.max(1, lines - 1) : lines;
+        }
+
+        /**
+         * Returns the x-coordinate in the contents where a line starts.
+         * @param {number} lineIndex - Index of the line.
+         * @returns {number}
+         */
+        lineOriginX(lineIndex) {
+            return this.padding;
+        }
+
+        /**
+         * Returns the y-coordinate in the contents where a line starts.
+         * @param {number} lineIndex - Index of the line.
+         * @returns {number}
+         */
+        lineOriginY(lineIndex) {
+            return (
+                this.padding +
+                this.titleHeight() +
+                (lineIndex - this._visibleStartLine) * this.lineHeight()
+            );
+        }
+
+        /**
+         * Draws the selection highlight behind the selected part of a line.
+         * @param {number} lineIndex - Index of the line to highlight.
+         */
+        drawSelection(lineIndex) {
+            if (!this.hasSelection()) return;
+
+            const { start, end } = this.selectionRange();
+            if (lineIndex < start.y || lineIndex > end.y) return;
+
+            const line = this._lines[lineIndex];
+            const from = lineIndex === start.y ? start.x : 0;
+            const to = lineIndex === end.y ? end.x : line.length;
+            const x = this.lineOriginX(lineIndex) + this.displayWidth(line.slice(0, from));
+            let width = this.displayWidth(line.slice(from, to));
+            // Show the selected line break as a small block
+            if (lineIndex < end.y && !this._softBreaks[lineIndex]) {
+                width += SELECTION_NEWLINE_WIDTH;
+            }
+
+            this.contents.paintOpacity = 96;
+            this.contents.fillRect(
+                x,
+                this.lineOriginY(lineIndex),
+                width,
+                this.lineHeight(),
+                ColorManager.systemColor()
+            );
+            this.contents.paintOpacity = 255;
+        }
+
         //-------------------------------------------------------------------------
         // Utils
         //-------------------------------------------------------------------------
@@ -807,8 +3650,14 @@
          */
         refresh() {
             this.contents.clear();
+            this.drawTitle();
             this.drawTextLines();
+            this.drawPlaceholder();
+            this.drawComposition();
             this.drawCursor();
+            this.drawScrollbar();
+            this.drawRevealIcon();
+            this.drawCounter();
         }
 
         /**
@@ -818,6 +3667,39 @@
             super.update();
             this.updateCursorBlink();
             this.updateTouchInput();
+            this.updateWheelScroll();
+            this.updateLongPress();
+            if (this.active) {
+                this.updateHtmlInputPosition();
+            }
+        }
+
+        /**
+         * Activates the window and shows its cursor.
+         */
+        activate() {
+            super.activate();
+            this.refresh();
+        }
+
+        /**
+         * Deactivates the window and hides its cursor.
+         */
+        deactivate() {
+            super.deactivate();
+            this.refresh();
+        }
+
+        /**
+         * Moves the window vertically and resizes it, redrawing the text to
+         * fit the new number of visible lines.
+         * @param {number} y - New y-coordinate of the window.
+         * @param {number} height - New height of the window.
+         */
+        relocate(y, height) {
+            this.move(this.x, y, this.width, height);
+            this.createContents();
+            this.refresh();
         }
 
         /**
@@ -841,11 +3723,194 @@
         }
 
         /**
-         * Returns the complete input text as a single string with newline characters.
+         * Clears the HTML input value so the next input event starts fresh.
+         * Needed whenever the cursor moves away from where the typing happened.
+         */
+        resetHtmlInput() {
+            this._lastInputValue = "";
+            if (this._inputElement) {
+                this._inputElement.value = "";
+            }
+        }
+
+        /**
+         * Returns the complete input text as a single string. Lines are joined
+         * with newline characters where the player pressed Enter.
          * @returns {string}
          */
         inputText() {
-            return this._lines.join("\n");
+            let text = "";
+            this._lines.forEach((line, i) => {
+                text += line;
+                // Soft wraps are only visual, keep real newlines only
+                if (i < this._lines.length - 1 && !this._softBreaks[i]) {
+                    text += "\n";
+                }
+            });
+            return text;
+        }
+
+        //-------------------------------------------------------------------------
+        // Scroll Methods
+        //-------------------------------------------------------------------------
+
+        /**
+         * Checks whether the text can hold more lines than fit in the window.
+         * @returns {boolean}
+         */
+        canScroll() {
+            return this._maxLines > this.maxVisibleLines();
+        }
+
+        /**
+         * Returns the largest scroll offset, in lines.
+         * @returns {number}
+         */
+        maxScrollLine() {
+            return Math.max(0, this._lines.length - this.maxVisibleLines());
+        }
+
+        /**
+         * Scrolls so a line is the first visible one.
+         * @param {number} line - The line to show at the top.
+         */
+        scrollTo(line) {
+            const startLine = line.clamp(0, this.maxScrollLine());
+            if (startLine !== this._visibleStartLine) {
+                this._visibleStartLine = startLine;
+                this.refresh();
+            }
+        }
+
+        /**
+         * Scrolls the view by a number of lines without moving the cursor.
+         * @param {number} lines - Lines to scroll, negative to scroll up.
+         */
+        scrollBy(lines) {
+            this.scrollTo(this._visibleStartLine + lines);
+        }
+
+        /**
+         * Scrolls just enough to show the cursor, but only after the cursor
+         * or the text changed, so the player can scroll away from it.
+         */
+        updateScrollToCursor() {
+            const cursor = `${this._cursorY}:${this._cursorX}:${this._lines.length}`;
+            let startLine = this._visibleStartLine;
+            if (cursor !== this._scrolledCursor) {
+                this._scrolledCursor = cursor;
+                const maxVisibleLines = this.maxVisibleLines();
+                if (this._cursorY < startLine) {
+                    startLine = this._cursorY;
+                } else if (this._cursorY >= startLine + maxVisibleLines) {
+                    startLine = this._cursorY - maxVisibleLines + 1;
+                }
+            }
+            this._visibleStartLine = startLine.clamp(0, this.maxScrollLine());
+        }
+
+        /**
+         * Scrolls one line per mouse wheel step while the pointer is over
+         * the window.
+         */
+        updateWheelScroll() {
+            if (!this.isTouchedInside() || this.maxScrollLine() === 0) return;
+
+            if (TouchInput.wheelY >= WHEEL_SCROLL_THRESHOLD) {
+                this.scrollBy(1);
+            } else if (TouchInput.wheelY <= -WHEEL_SCROLL_THRESHOLD) {
+                this.scrollBy(-1);
+            }
+        }
+
+        /**
+         * Scrolls with the finger while a touch swipe is held.
+         */
+        updateSwipeScroll() {
+            if (!TouchInput.isPressed()) {
+                this._swipeStartY = null;
+                return;
+            }
+            if (TouchInput.isMoved()) {
+                const distance = this._swipeStartY - TouchInput.y;
+                this.scrollTo(
+                    this._swipeStartLine + Math.round(distance / this.lineHeight())
+                );
+            }
+        }
+
+        /**
+         * Returns the area of the scrollbar track in the contents.
+         * @returns {Rectangle}
+         */
+        scrollbarRect() {
+            const x = this.contentsWidth() - this.padding - SCROLLBAR_WIDTH;
+            const y = this.lineOriginY(this._visibleStartLine);
+            const height = this.maxVisibleLines() * this.lineHeight();
+            return new Rectangle(x, y, SCROLLBAR_WIDTH, height);
+        }
+
+        /**
+         * Draws the scrollbar while there are more lines than fit.
+         */
+        drawScrollbar() {
+            const maxScrollLine = this.maxScrollLine();
+            if (maxScrollLine === 0) return;
+
+            const rect = this.scrollbarRect();
+            const ratio = this.maxVisibleLines() / this._lines.length;
+            const thumbHeight = Math.max(SCROLLBAR_WIDTH * 2, rect.height * ratio);
+            const thumbY =
+                rect.y +
+                ((rect.height - thumbHeight) * this._visibleStartLine) / maxScrollLine;
+
+            this.contents.paintOpacity = 64;
+            this.contents.fillRect(rect.x, rect.y, rect.width, rect.height, ColorManager.normalColor());
+            this.contents.paintOpacity = 160;
+            this.contents.fillRect(rect.x, thumbY, rect.width, thumbHeight, ColorManager.normalColor());
+            this.contents.paintOpacity = 255;
+        }
+
+        /**
+         * Checks whether the current touch is on the scrollbar.
+         * @returns {boolean}
+         */
+        isScrollbarTouched() {
+            if (this.maxScrollLine() === 0) return false;
+
+            const rect = this.scrollbarRect();
+            const touchX = TouchInput.x - this.x - this.padding;
+            const touchY = TouchInput.y - this.y - this.padding;
+            // Widen the touch area so the thin bar is easy to hit
+            return (
+                touchX >= rect.x - SCROLLBAR_MARGIN &&
+                touchX < rect.x + rect.width + SCROLLBAR_MARGIN &&
+                touchY >= rect.y &&
+                touchY < rect.y + rect.height
+            );
+        }
+
+        /**
+         * Scrolls to the part of the text under the touch on the scrollbar.
+         */
+        scrollToTouch() {
+            const rect = this.scrollbarRect();
+            const touchY = TouchInput.y - this.y - this.padding - rect.y;
+            const ratio = (touchY / rect.height).clamp(0, 1);
+            this.scrollTo(Math.round(ratio * this.maxScrollLine()));
+        }
+
+        /**
+         * Follows the touch while the scrollbar is dragged.
+         */
+        updateScrollbarDrag() {
+            if (!TouchInput.isPressed()) {
+                this._isScrollbarDragging = false;
+                return;
+            }
+            if (TouchInput.isMoved()) {
+                this.scrollToTouch();
+            }
         }
 
         //-------------------------------------------------------------------------
@@ -856,23 +3921,15 @@
          * Draws a blinking cursor at the current text insertion point.
          */
         drawCursor() {
-            if (!this._cursorVisible) return;
+            if (!this._cursorVisible || !this.active) return;
 
             const visibleLine = this._cursorY - this._visibleStartLine;
             // Only draw the cursor if the current line is visible.
-            if (
-                visibleLine < 0 ||
-                visibleLine >=
-                    Math.floor(
-                        (this.height - this.padding * 2) / this.lineHeight()
-                    )
-            ) {
+            if (visibleLine < 0 || visibleLine >= this.maxVisibleLines()) {
                 return;
             }
-            const line = this._lines[this._cursorY];
-            const cursorX =
-                this.padding + this.textWidth(line.substring(0, this._cursorX));
-            const cursorY = this.padding + visibleLine * this.lineHeight();
+            const cursorX = this.cursorPixelX() + this.compositionCaretWidth();
+            const cursorY = this.lineOriginY(this._cursorY);
             // Draw a small rectangle as the cursor.
             this.contents.fillRect(
                 cursorX,
@@ -883,6 +3940,18 @@
             );
         }
 
+        /**
+         * Returns the x-coordinate of the cursor in the contents.
+         * @returns {number}
+         */
+        cursorPixelX() {
+            const line = this._lines[this._cursorY];
+            return (
+                this.lineOriginX(this._cursorY) +
+                this.displayWidth(line.substring(0, this._cursorX))
+            );
+        }
+
         /**
          * Handles the blinking effect of the text cursor.
          */
@@ -897,14 +3966,93 @@
 
         /**
          * Processes touch input to reposition the cursor if necessary.
+         * A single click places the cursor and starts a drag selection,
+         * a double click selects a word and a triple click selects a line.
          */
         updateTouchInput() {
-            if (TouchInput.isTriggered() && this.isTouchedInside()) {
+            if (this.isClipboardMenuActive()) {
+                return;
+            }
+            if (TouchInput.isTriggered() && !this.active && this.isTouchedInside()) {
+                // Ask the scene to move the focus here first
+                this.callHandler("focus");
+            }
+            if (TouchInput.isTriggered() && this.isRevealIconTouched()) {
+                this.toggleReveal();
+                this.focusHtmlInput();
+                return;
+            }
+            if (TouchInput.isTriggered() && this.isScrollbarTouched()) {
+                this._isScrollbarDragging = true;
+                this.scrollToTouch();
+                this.focusHtmlInput();
+            } else if (TouchInput.isTriggered() && this.isTouchedInside()) {
                 const touchX = TouchInput.x - this.x - this.padding;
                 const touchY = TouchInput.y - this.y - this.padding;
-                this.moveCursorToTouch(touchX, touchY);
+                const position = this.positionAtTouch(touchX, touchY);
+                this.updateClickCount(position.y);
+                this.resetHtmlInput();
+                this.breakUndoMerge();
+
+                if (this._clickCount === 2) {
+                    this.selectWordAt(position.x, position.y);
+                } else if (this._clickCount === 3) {
+                    this.selectLine(position.y);
+                } else {
+                    this.clearSelection();
+                    this.moveCursorToTouch(touchX, touchY);
+                    this.startSelection();
+                    if (TextInputDevice.lastDevice === "touch") {
+                        // A finger drag scrolls instead of selecting
+                        this._swipeStartY = TouchInput.y;
+                        this._swipeStartLine = this._visibleStartLine;
+                    } else {
+                        this._isDragging = true;
+                    }
+                }
+                this.refresh();
                 this.focusHtmlInput();
+            } else if (this._isScrollbarDragging) {
+                this.updateScrollbarDrag();
+            } else if (this._swipeStartY !== null) {
+                this.updateSwipeScroll();
+            } else if (this._isDragging) {
+                this.updateTouchDrag();
+            }
+        }
+
+        /**
+         * Extends the selection while the touch is held and dragged.
+         */
+        updateTouchDrag() {
+            if (!TouchInput.isPressed()) {
+                this._isDragging = false;
+                if (!this.hasSelection()) {
+                    this.clearSelection();
+                }
+                return;
+            }
+            if (TouchInput.isMoved()) {
+                const touchX = TouchInput.x - this.x - this.padding;
+                const touchY = TouchInput.y - this.y - this.padding;
+                this.moveCursorToTouch(touchX, touchY);
+            }
+        }
+
+        /**
+         * Counts consecutive clicks on the same line to detect
+         * double and triple clicks.
+         * @param {number} lineIndex - The line that was clicked.
+         */
+        updateClickCount(lineIndex) {
+            const elapsed = Graphics.frameCount - this._lastClickFrame;
+            if (elapsed <= MULTI_CLICK_FRAMES && lineIndex === this._lastClickLine) {
+                this._clickCount = (this._clickCount % 3) + 1;
+            } else {
+                this._clickCount = 1;
             }
+            this._lastClickFrame = Graphics.frameCount;
+            this._lastClickLine = lineIndex;
         }
 
         /**
@@ -922,479 +4070,2732 @@
 
         /**
          * Moves the text cursor to the position corresponding to the touch.
+         * @param {number} x - x-coordinate relative to the window's inner content.
+         * @param {number} y - y-coordinate relative to the window's inner content.
+         */
+        moveCursorToTouch(x, y) {
+            const position = this.positionAtTouch(x, y);
+            this._cursorY = position.y;
+            this._cursorX = position.x;
+            this.refresh();
+        }
+
+        /**
+         * Finds the text position corresponding to a point in the contents.
          * Instead of simply comparing widths, it checks each character's center
          * so that if the touch is in the left half of a character, the cursor
-         * is placed at that character's beginning.
+         * is placed at that character's beginning. Points outside the text are
+         * clamped to the nearest line.
          *
          * @param {number} x - x-coordinate relative to the window's inner content.
          * @param {number} y - y-coordinate relative to the window's inner content.
+         * @returns {{x: number, y: number}} Character and line index.
          */
-        moveCursorToTouch(x, y) {
+        positionAtTouch(x, y) {
             const lineHeight = this.lineHeight();
-            const touchedLine = Math.floor(y / lineHeight);
-            if (touchedLine < this._lines.length) {
-                this._cursorY = touchedLine;
-                const line = this._lines[this._cursorY];
-                let bestPos = 0;
-                // Iterate over each character in the line
-                for (let i = 0; i < line.length; i++) {
-                    // Starting x position for the current character
-                    const charStart = this.textWidth(line.substring(0, i));
-                    // Get width of the current character
-                    const charWidth = this.textWidth(line.charAt(i));
-                    // If touch is less than half the width into the character,
-                    // position cursor at the beginning of this character.
-                    if (x < charStart + charWidth / 2) {
-                        bestPos = i;
-                        break;
-                    }
-                    // Otherwise, place the cursor after this character.
-                    bestPos = i + 1;
-                }
-
-                // Fine-tuning: Move cursor slightly left to avoid overshooting
-                bestPos = Math.max(0, bestPos - 1);
+            const firstLineY = this.lineOriginY(this._visibleStartLine);
+            const touchedLine = this._visibleStartLine + Math.floor((y - firstLineY) / lineHeight);
+            const lineIndex = touchedLine.clamp(0, this._lines.length - 1);
+            return { x: this.offsetAtX(lineIndex, x), y: lineIndex };
+        }
 
-                this._cursorX = bestPos;
-                this.refresh();
+        /**
+         * Finds the grapheme boundary of a line closest to an x-coordinate.
+         * @param {number} lineIndex - Index of the line.
+         * @param {number} x - x-coordinate relative to the window's inner content.
+         * @returns {number} Character index on a grapheme boundary.
+         */
+        offsetAtX(lineIndex, x) {
+            const line = this._lines[lineIndex];
+            const touchX = x - this.lineOriginX(lineIndex);
+
+            let bestPos = 0;
+            let offset = 0;
+            // Iterate over each character (grapheme cluster) in the line
+            for (const grapheme of splitGraphemes(line)) {
+                // Starting x position for the current character
+                const charStart = this.displayWidth(line.substring(0, offset));
+                // Get width of the current character
+                const charWidth = this.displayWidth(grapheme);
+                // If touch is less than half the width into the character,
+                // position cursor at the beginning of this character.
+                if (touchX < charStart + charWidth / 2) {
+                    bestPos = offset;
+                    break;
+                }
+                // Otherwise, place the cursor after this character.
+                offset += grapheme.length;
+                bestPos = offset;
             }
+            return bestPos;
         }
 
         //-------------------------------------------------------------------------
-        // Cursor Movement Methods
+        // Selection Methods
         //-------------------------------------------------------------------------
 
-        moveCursorLeft() {
-            if (this._cursorX > 0) {
-                this._cursorX--;
-            } else if (this._cursorY > 0) {
-                // Move to end of previous line if at the beginning
-                this._cursorY--;
-                this._cursorX = this._lines[this._cursorY].length;
-            }
+        /**
+         * Checks whether a non-empty range of text is selected.
+         * @returns {boolean}
+         */
+        hasSelection() {
+            const anchor = this._selectionAnchor;
+            return (
+                !!anchor &&
+                (anchor.x !== this._cursorX || anchor.y !== this._cursorY)
+            );
         }
 
-        moveCursorRight() {
-            if (this._cursorX < this._lines[this._cursorY].length) {
-                this._cursorX++;
-            } else if (this._cursorY < this._lines.length - 1) {
-                // Move to beginning of next line if at the end
-                this._cursorY++;
-                this._cursorX = 0;
+        /**
+         * Returns the selection bounds ordered from start to end.
+         * @returns {{start: {x: number, y: number}, end: {x: number, y: number}}}
+         */
+        selectionRange() {
+            const anchor = this._selectionAnchor || {
+                x: this._cursorX,
+                y: this._cursorY,
+            };
+            const cursor = { x: this._cursorX, y: this._cursorY };
+            const anchorFirst =
+                anchor.y < cursor.y ||
+                (anchor.y === cursor.y && anchor.x <= cursor.x);
+            return anchorFirst
+                ? { start: anchor, end: cursor }
+                : { start: cursor, end: anchor };
+        }
+
+        /**
+         * Anchors the selection at the cursor unless a selection is in progress.
+         */
+        startSelection() {
+            if (!this._selectionAnchor) {
+                this._selectionAnchor = { x: this._cursorX, y: this._cursorY };
+            }
+        }
+
+        /**
+         * Removes the selection without touching the text.
+         */
+        clearSelection() {
+            this._selectionAnchor = null;
+        }
+
+        /**
+         * Clears the selection and places the cursor at one of its ends.
+         * @param {boolean} toStart - True to collapse to the start of the selection.
+         */
+        collapseSelection(toStart) {
+            const { start, end } = this.selectionRange();
+            const target = toStart ? start : end;
+            this._cursorX = target.x;
+            this._cursorY = target.y;
+            this.clearSelection();
+        }
+
+        /**
+         * Returns the selection as text offsets ordered from start to end.
+         * Without a selection both offsets are at the cursor.
+         * @returns {{start: number, end: number}}
+         */
+        selectionOffsets() {
+            const { start, end } = this.selectionRange();
+            return {
+                start: this.positionToOffset(start),
+                end: this.positionToOffset(end),
+            };
+        }
+
+        /**
+         * Returns the selected text, with newlines between paragraphs.
+         * @returns {string}
+         */
+        selectedText() {
+            if (!this.hasSelection()) return "";
+
+            const { start, end } = this.selectionOffsets();
+            return this.inputText().slice(start, end);
+        }
+
+        /**
+         * Deletes the selected text and places the cursor where it started.
+         * @returns {boolean} True if a selection was deleted.
+         */
+        deleteSelection() {
+            if (!this.hasSelection()) {
+                this.clearSelection();
+                return false;
+            }
+
+            const { start, end } = this.selectionOffsets();
+            const text = this.inputText();
+            this.applyText(text.slice(0, start) + text.slice(end), start);
+            return true;
+        }
+
+        /**
+         * Selects the word around a character position.
+         * @param {number} x - Character index within the line.
+         * @param {number} y - Line index.
+         */
+        selectWordAt(x, y) {
+            const line = this._lines[y];
+            let start = x;
+            let end = x;
+            while (start > 0 && isWordChar(line.charAt(start - 1))) {
+                start--;
+            }
+            while (end < line.length && isWordChar(line.charAt(end))) {
+                end++;
+            }
+            this._selectionAnchor = { x: start, y: y };
+            this._cursorX = end;
+            this._cursorY = y;
+        }
+
+        /**
+         * Selects a whole line.
+         * @param {number} y - Line index.
+         */
+        selectLine(y) {
+            this._selectionAnchor = { x: 0, y: y };
+            this._cursorX = this._lines[y].length;
+            this._cursorY = y;
+        }
+
+        //-------------------------------------------------------------------------
+        // Cursor Movement Methods
+        //-------------------------------------------------------------------------
+
+        moveCursorLeft() {
+            if (this._cursorX > 0) {
+                this._cursorX = previousGraphemeOffset(
+                    this._lines[this._cursorY],
+                    this._cursorX
+                );
+            } else if (this._cursorY > 0) {
+                // Move to end of previous line if at the beginning
+                this._cursorY--;
+                const line = this._lines[this._cursorY];
+                this._cursorX = line.length;
+                // A soft wrap has no character of its own, so its end is the
+                // same spot as the start of the next line
+                if (this._softBreaks[this._cursorY]) {
+                    this._cursorX = previousGraphemeOffset(line, line.length);
+                }
+            }
+        }
+
+        moveCursorRight() {
+            const line = this._lines[this._cursorY];
+            if (this._cursorX < line.length) {
+                this._cursorX = nextGraphemeOffset(line, this._cursorX);
+            } else if (this._cursorY < this._lines.length - 1) {
+                // Move to beginning of next line if at the end
+                const isSoftBreak = this._softBreaks[this._cursorY];
+                this._cursorY++;
+                this._cursorX = isSoftBreak
+                    ? nextGraphemeOffset(this._lines[this._cursorY], 0)
+                    : 0;
             }
         }
 
         moveCursorUp() {
             if (this._cursorY > 0) {
-                this._cursorY--;
-                this._cursorX = Math.min(
-                    this._cursorX,
-                    this._lines[this._cursorY].length
-                );
+                this.moveCursorToLine(this._cursorY - 1);
             }
         }
 
         moveCursorDown() {
             if (this._cursorY < this._lines.length - 1) {
-                this._cursorY++;
-                this._cursorX = Math.min(
-                    this._cursorX,
-                    this._lines[this._cursorY].length
-                );
+                this.moveCursorToLine(this._cursorY + 1);
             }
         }
 
-        //-------------------------------------------------------------------------
-        // Text Processing Methods
-        //-------------------------------------------------------------------------
+        /**
+         * Moves the cursor to another line, to the character under its
+         * current x-coordinate. Repeated moves keep aiming at the x-coordinate
+         * of the first one, so passing a short line does not pull the cursor
+         * to the left.
+         * @param {number} y - Index of the target line.
+         */
+        moveCursorToLine(y) {
+            const move = this._verticalMove;
+            const x =
+                move && move.cursorX === this._cursorX && move.cursorY === this._cursorY
+                    ? move.x
+                    : this.cursorPixelX();
+            this._cursorY = y;
+            this._cursorX = this.offsetAtX(y, x);
+            this._verticalMove = { cursorX: this._cursorX, cursorY: y, x: x };
+        }
 
         /**
-         * Processes a single character input.
-         * If the new character causes the line to exceed the available width,
-         * it attempts to break the line (if under maxLines).
-         * @param {string} char - The character to process.
+         * Moves the cursor one word to the left, skipping the spaces and
+         * punctuation before the word. Wraps to the end of the previous line.
          */
-        processChar(char) {
+        moveCursorWordLeft() {
             const line = this._lines[this._cursorY];
-            const potentialLine =
-                line.slice(0, this._cursorX) + char + line.slice(this._cursorX);
-            const textWidth = this.textWidth(potentialLine);
-            const maxWidth = this.contentsWidth() - this.padding * 2;
-
-            if (textWidth > maxWidth) {
-                // If line is too long and we can add more lines, break the line.
-                if (this._lines.length < this._maxLines) {
-                    const beforeCursor = line.slice(0, this._cursorX);
-                    const afterCursor = line.slice(this._cursorX);
-                    this._lines[this._cursorY] = beforeCursor;
-                    this._lines.splice(this._cursorY + 1, 0, afterCursor);
-                    this._cursorY++;
-                    this._cursorX = 0;
-                    // Process the character on the new line.
-                    this.processChar(char);
-                }
+            if (this._cursorX === 0) {
+                this.moveCursorLeft();
                 return;
             }
-            // Insert the character into the current line.
-            this._lines[this._cursorY] = potentialLine;
-            this._cursorX += char.length;
-            TextInputSoundManager.playCursorSound();
-            this.refresh();
+            let x = this._cursorX;
+            while (x > 0 && !isWordChar(line.charAt(x - 1))) {
+                x--;
+            }
+            while (x > 0 && isWordChar(line.charAt(x - 1))) {
+                x--;
+            }
+            this._cursorX = x;
         }
 
         /**
-         * Processes backspace key to delete characters.
+         * Moves the cursor to the start of the next word.
+         * Wraps to the beginning of the next line.
          */
-        processBackspace() {
+        moveCursorWordRight() {
             const line = this._lines[this._cursorY];
-            if (this._cursorX > 0) {
-                // Remove single character.
-                this._lines[this._cursorY] =
-                    line.slice(0, this._cursorX - 1) +
-                    line.slice(this._cursorX);
-                this._cursorX--;
-            } else if (this._cursorY > 0) {
-                // Merge current line with previous line if at the beginning.
-                const previousLine = this._lines[this._cursorY - 1];
-                this._cursorX = previousLine.length;
-                this._lines[this._cursorY - 1] = previousLine + line;
-                this._lines.splice(this._cursorY, 1);
-                this._cursorY--;
+            if (this._cursorX >= line.length) {
+                this.moveCursorRight();
+                return;
             }
-            TextInputSoundManager.playCancelSound();
-            this.refresh();
+            let x = this._cursorX;
+            while (x < line.length && isWordChar(line.charAt(x))) {
+                x++;
+            }
+            while (x < line.length && !isWordChar(line.charAt(x))) {
+                x++;
+            }
+            this._cursorX = x;
         }
 
         /**
-         * Processes the Enter key to insert a new line.
+         * Moves the cursor to the start of the line, or of the text.
+         * @param {boolean} wholeText - True to move to the start of the text.
          */
-        processNewLine() {
-            if (this._lines.length >= this._maxLines) return;
-
-            const line = this._lines[this._cursorY];
-            const beforeCursor = line.slice(0, this._cursorX);
-            const afterCursor = line.slice(this._cursorX);
-            this._lines[this._cursorY] = beforeCursor;
-            // Insert the remainder of the line as a new line.
-            this._lines.splice(this._cursorY + 1, 0, afterCursor);
-            this._cursorY++;
+        moveCursorHome(wholeText) {
+            if (wholeText) {
+                this._cursorY = 0;
+            }
             this._cursorX = 0;
-            this.refresh();
         }
 
-        //-------------------------------------------------------------------------
-        // HTML Input Setup and Handling
-        //-------------------------------------------------------------------------
-
         /**
-         * Creates and configures an invisible HTML input element to capture keyboard input.
-         * The element is positioned off-screen but remains functional for capturing
-         * keystrokes, composition events, and handling mobile keyboard interactions.
-         * Sets up event listeners for input processing and key handling.
+         * Moves the cursor to the end of the line, or of the text.
+         * @param {boolean} wholeText - True to move to the end of the text.
          */
-        createHtmlInput() {
-            this._inputElement = document.createElement("input");
-            this._inputElement.type = "text";
+        moveCursorEnd(wholeText) {
+            if (wholeText) {
+                this._cursorY = this._lines.length - 1;
+            }
+            this._cursorX = this._lines[this._cursorY].length;
+        }
 
-            Object.assign(this._inputElement.style, {
-                position: "absolute",
-                opacity: "0",
-                left: "0",
-                top: "0",
-                width: "1px",
-                height: "1px",
-            });
+        /**
+         * Moves the cursor up or down by one page of visible lines.
+         * @param {number} direction - -1 for page up, 1 for page down.
+         */
+        moveCursorPage(direction) {
+            const page = Math.max(1, this.maxVisibleLines());
+            this.moveCursorToLine(
+                (this._cursorY + direction * page).clamp(0, this._lines.length - 1)
+            );
+        }
 
-            // Disable suggestions and autocorrect
-            this._inputElement.setAttribute("autocomplete", "off");
-            this._inputElement.setAttribute("autocorrect", "off");
-            this._inputElement.setAttribute("autocapitalize", "off");
-            this._inputElement.setAttribute("spellcheck", "false");
-            this._inputElement.setAttribute("data-gramm", "false");
+        /**
+         * Moves the cursor for a navigation key. With Shift held the selection
+         * is extended, otherwise an existing selection is collapsed.
+         * @param {string} key - The key name from the keydown event.
+         * @param {boolean} extend - True if Shift is held.
+         * @param {boolean} ctrl - True if Ctrl is held (word or whole text moves).
+         */
+        processNavigationKey(key, extend, ctrl) {
+            this.breakUndoMerge();
+            if (extend) {
+                this.startSelection();
+            } else if (this.hasSelection()) {
+                const toStart = ["ArrowLeft", "ArrowUp", "Home", "PageUp"].includes(key);
+                this.collapseSelection(toStart);
+                // Left/Right only collapse, like a regular text field
+                if (key === "ArrowLeft" || key === "ArrowRight") return;
+            } else {
+                this.clearSelection();
+            }
 
-            document.body.appendChild(this._inputElement);
+            switch (key) {
+                case "ArrowLeft":
+                    if (ctrl) {
+                        this.moveCursorWordLeft();
+                    } else {
+                        this.moveCursorLeft();
+                    }
+                    break;
+                case "ArrowRight":
+                    if (ctrl) {
+                        this.moveCursorWordRight();
+                    } else {
+                        this.moveCursorRight();
+                    }
+                    break;
+                case "ArrowUp":
+                    this.moveCursorUp();
+                    break;
+                case "ArrowDown":
+                    this.moveCursorDown();
+                    break;
+                case "Home":
+                    this.moveCursorHome(ctrl);
+                    break;
+                case "End":
+                    this.moveCursorEnd(ctrl);
+                    break;
+                case "PageUp":
+                    this.moveCursorPage(-1);
+                    break;
+                case "PageDown":
+                    this.moveCursorPage(1);
+                    break;
+            }
+        }
 
-            // Initialize state tracking
-            this._isComposing = false;
-            this._lastInputValue = "";
+        //-------------------------------------------------------------------------
+        // Text Layout Methods
+        //-------------------------------------------------------------------------
 
-            // Handle composition events
-            this._inputElement.addEventListener("compositionstart", () => {
-                this._isComposing = true;
-            });
+        /**
+         * Returns the maximum width of a line before it wraps.
+         * @returns {number}
+         */
+        wrapWidth() {
+            let width = this.contentsWidth() - this.padding * 2;
+            // Keep the text clear of the scrollbar and the reveal icon
+            if (this.canScroll()) {
+                width -= SCROLLBAR_WIDTH + SCROLLBAR_MARGIN;
+            }
+            return this.hasRevealIcon() ? width - ImageManager.iconWidth : width;
+        }
 
-            this._inputElement.addEventListener("compositionend", () => {
-                this._isComposing = false;
-                this.processInputDifference();
-            });
+        /**
+         * Splits text into visual lines. Every newline starts a new line and
+         * paragraphs wider than the window are soft wrapped.
+         * @param {string} text - The text with newlines between paragraphs.
+         * @returns {{lines: string[], softBreaks: boolean[]}} The visual lines,
+         *     and for each line whether it continues on the next one.
+         */
+        layoutText(text) {
+            const lines = [];
+            const softBreaks = [];
+            for (const paragraph of text.split("\n")) {
+                const wrapped = this.wrapParagraph(paragraph);
+                wrapped.forEach((line, i) => {
+                    lines.push(line);
+                    softBreaks.push(i < wrapped.length - 1);
+                });
+            }
+            return { lines, softBreaks };
+        }
 
-            // Modified input handler
-            this._boundOnInputChange = (event) => {
-                if (!this._isComposing) {
-                    this.processInputDifference();
+        /**
+         * Wraps a paragraph at word boundaries. Trailing spaces may hang past
+         * the edge, and words too long for a line (or CJK text, which has no
+         * spaces) are broken between characters.
+         * @param {string} paragraph - Text without newlines.
+         * @returns {string[]} The wrapped lines.
+         */
+        wrapParagraph(paragraph) {
+            const maxWidth = this.wrapWidth();
+            const lines = [];
+            let line = "";
+            for (const token of splitWrapTokens(paragraph)) {
+                if (this.displayWidth((line + token).trimEnd()) <= maxWidth) {
+                    line += token;
+                    continue;
                 }
-            };
-
-            // Keydown handler
-            this._boundHandleKeyDown = (event) => {
-                if (event.shiftKey && event.key === "Enter") {
-                    event.preventDefault();
-                    this.playOkSound();
-                    this.triggerOk();
-                    return;
+                if (line) {
+                    lines.push(line);
+                    line = "";
                 }
-
-                switch (event.key) {
-                    case "ArrowLeft":
-                        event.preventDefault();
-                        this.moveCursorLeft();
-                        this._lastInputValue = "";
-                        this._inputElement.value = "";
-                        this.refresh();
-                        break;
-                    case "ArrowRight":
-                        event.preventDefault();
-                        this.moveCursorRight();
-                        this._lastInputValue = "";
-                        this._inputElement.value = "";
-                        this.refresh();
-                        break;
-                    case "ArrowUp":
-                        event.preventDefault();
-                        this.moveCursorUp();
-                        this._lastInputValue = "";
-                        this._inputElement.value = "";
-                        this.refresh();
-                        break;
-                    case "ArrowDown":
-                        event.preventDefault();
-                        this.moveCursorDown();
-                        this._lastInputValue = "";
-                        this._inputElement.value = "";
-                        this.refresh();
-                        break;
-                    case "Backspace":
-                        event.preventDefault();
-                        this.processBackspace();
-                        this._lastInputValue = this._inputElement.value;
-                        this.refresh();
-                        break;
-                    case "Enter":
-                        event.preventDefault();
-                        this.processNewLine();
-                        this._lastInputValue = "";
-                        this._inputElement.value = "";
-                        this.refresh();
-                        break;
+                if (this.displayWidth(token.trimEnd()) <= maxWidth) {
+                    line = token;
+                    continue;
                 }
-            };
+                // The token is wider than a whole line, break between characters
+                for (const char of splitGraphemes(token)) {
+                    if (line && this.displayWidth((line + char).trimEnd()) > maxWidth) {
+                        lines.push(line);
+                        line = "";
+                    }
+                    line += char;
+                }
+            }
+            lines.push(line);
+            return lines;
+        }
 
-            this._inputElement.addEventListener(
-                "input",
-                this._boundOnInputChange
-            );
-            this._inputElement.addEventListener(
-                "keydown",
-                this._boundHandleKeyDown
-            );
+        /**
+         * Checks whether text fits in the window without exceeding maxLines.
+         * @param {string} text - The full text to check.
+         * @returns {boolean}
+         */
+        fitsText(text) {
+            if (this._validator && !this._validator.fitsLength(text)) {
+                return false;
+            }
+            return this.layoutText(text).lines.length <= this._maxLines;
+        }
 
-            this.focusHtmlInput();
+        /**
+         * Sets the validator that limits which characters can be typed and
+         * how many.
+         * @param {TextInputValidator} validator - The validator to use.
+         */
+        setValidator(validator) {
+            this._validator = validator;
         }
 
         /**
-         * Compares current input value with previous value to determine changes
-         * and processes any differences. This handles both single character inputs
-         * and composition-based inputs (like IME) by detecting added or removed
-         * characters and applying them to the text window.
+         * Checks whether the validator allows a character to be typed.
+         * @param {string} char - The character to check.
+         * @returns {boolean}
          */
-        processInputDifference() {
-            const currentValue = this._inputElement.value;
-            const previousValue = this._lastInputValue;
+        isCharAllowed(char) {
+            return !this._validator || this._validator.isCharAllowed(char);
+        }
 
-            // Find the difference between current and last value
-            if (currentValue.length > previousValue.length) {
-                // New characters were added
-                const newText = currentValue.slice(previousValue.length);
-                for (const char of newText) {
-                    this.processChar(char);
-                }
-            } else if (currentValue.length < previousValue.length) {
-                // Characters were removed
-                const deletedCount = previousValue.length - currentValue.length;
-                for (let i = 0; i < deletedCount; i++) {
-                    this.processBackspace();
-                }
-            }
+        /**
+         * Replaces the whole text, reflows it and places the cursor.
+         * @param {string} text - The new text.
+         * @param {number} cursorOffset - Text offset for the cursor.
+         */
+        applyText(text, cursorOffset) {
+            const layout = this.layoutText(text);
+            this._lines = layout.lines;
+            this._softBreaks = layout.softBreaks;
+            this.clearSelection();
+            this.setCursorOffset(cursorOffset);
+            this.notifyChange();
+        }
 
-            // Update the last known value
-            this._lastInputValue = currentValue;
+        /**
+         * Calls the "change" handler if the text differs from the last call,
+         * so reflowing the same text, e.g. for a preview, is not a change.
+         */
+        notifyChange() {
+            const text = this.inputText();
+            if (text !== this._changedText) {
+                this._changedText = text;
+                this.callHandler("change");
+            }
+        }
 
+        /**
+         * Loads text to edit, replacing the current text. Text beyond
+         * maxLines or the length limit is cut off, so that the player can
+         * still edit it. Loading cannot be undone and does not count as a
+         * change.
+         * @param {string} text - The text to load.
+         * @param {string} [cursorStart] - "end", "start" or "selectAll".
+         */
+        setText(text, cursorStart = "end") {
+            text = this.clipText(text.replace(/\r\n?/g, "\n"));
+            this._changedText = text;
+            this.applyText(text, cursorStart === "start" ? 0 : text.length);
+            this.clearUndoHistory();
+            if (cursorStart === "selectAll") {
+                this.selectAll();
+            }
             this.refresh();
         }
 
         /**
-         * Called when the HTML input changes. Processes new characters or new lines.
-         * @param {InputEvent} event
+         * Returns the longest start of a text that fits in the window.
+         * @param {string} text - The text to clip.
+         * @returns {string}
          */
-        onInputChange(event) {
-            const value = event.target.value;
-            if (value) {
-                if (value === "\n") {
-                    this.processNewLine();
+        clipText(text) {
+            if (this.fitsText(text)) return text;
+
+            // Binary search over whole characters, since reflowing is slow
+            const graphemes = splitGraphemes(text);
+            let low = 0;
+            let high = graphemes.length - 1;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (this.fitsText(graphemes.slice(0, middle).join(""))) {
+                    low = middle;
                 } else {
-                    // Process each character typed.
-                    for (const char of value) {
-                        this.processChar(char);
-                    }
+                    high = middle - 1;
+                }
+            }
+            return graphemes.slice(0, low).join("");
+        }
+
+        /**
+         * Replaces a range of the text and moves the cursor after the
+         * inserted part. Insertions that would not fit are rejected.
+         * @param {number} start - Start offset of the range.
+         * @param {number} end - End offset of the range.
+         * @param {string} insert - Text to put in place of the range.
+         * @returns {boolean} True if the text was changed.
+         */
+        replaceRange(start, end, insert) {
+            const text = this.inputText();
+            const newText = text.slice(0, start) + insert + text.slice(end);
+            if (insert && !this.fitsText(newText)) {
+                return false;
+            }
+            this.applyText(newText, start + insert.length);
+            return true;
+        }
+
+        /**
+         * Converts a line and character position to an offset in inputText().
+         * @param {{x: number, y: number}} position - Character and line index.
+         * @returns {number}
+         */
+        positionToOffset(position) {
+            let offset = 0;
+            for (let i = 0; i < position.y; i++) {
+                offset += this._lines[i].length + (this._softBreaks[i] ? 0 : 1);
+            }
+            return offset + position.x;
+        }
+
+        /**
+         * Converts an offset in inputText() to a line and character position.
+         * An offset at a soft wrap is placed at the start of the next line.
+         * @param {number} offset - Offset in the text.
+         * @returns {{x: number, y: number}}
+         */
+        offsetToPosition(offset) {
+            let remaining = Math.max(0, offset);
+            const lastLine = this._lines.length - 1;
+            for (let y = 0; y < lastLine; y++) {
+                const length = this._lines[y].length;
+                if (
+                    remaining < length ||
+                    (remaining === length && !this._softBreaks[y])
+                ) {
+                    return { x: remaining, y: y };
+                }
+                remaining -= length + (this._softBreaks[y] ? 0 : 1);
+            }
+            return {
+                x: Math.min(remaining, this._lines[lastLine].length),
+                y: lastLine,
+            };
+        }
+
+        /**
+         * Returns the cursor position as an offset in inputText().
+         * @returns {number}
+         */
+        cursorOffset() {
+            return this.positionToOffset({ x: this._cursorX, y: this._cursorY });
+        }
+
+        /**
+         * Moves the cursor to an offset in inputText().
+         * @param {number} offset - Offset in the text.
+         */
+        setCursorOffset(offset) {
+            const position = this.offsetToPosition(offset);
+            this._cursorX = position.x;
+            this._cursorY = position.y;
+        }
+
+        //-------------------------------------------------------------------------
+        // Text Processing Methods
+        //-------------------------------------------------------------------------
+
+        /**
+         * Processes a single character input.
+         * Plays the error sound if there is no room left for the character.
+         * @param {string} char - The character to process.
+         */
+        processChar(char) {
+            if (this.hasSelection()) {
+                // Replacing a selection starts a new undo step
+                this.breakUndoMerge();
+            }
+            const snapshot = this.createSnapshot();
+            if (this.insertChar(char)) {
+                this.pushUndo(snapshot, "typing");
+                TextInputSoundManager.playCursorSound();
+            } else {
+                TextInputSoundManager.playErrorSound();
+            }
+            this.refresh();
+        }
+
+        /**
+         * Inserts a single character at the cursor, replacing any selection.
+         * The paragraph is reflowed, and the character is rejected if it is
+         * not allowed or the text would no longer fit within maxLines.
+         * @param {string} char - The character to insert.
+         * @returns {boolean} True if the character was inserted.
+         */
+        insertChar(char) {
+            if (!this.isCharAllowed(char)) {
+                return false;
+            }
+            const { start, end } = this.selectionOffsets();
+            return this.replaceRange(start, end, char);
+        }
+
+        /**
+         * Inserts a block of text at the cursor, replacing any selection.
+         * Newlines start new paragraphs and long lines are wrapped. Characters
+         * that are not allowed and whatever does not fit within maxLines are
+         * dropped, and the error sound is played.
+         * @param {string} text - The text to insert.
+         * @returns {boolean} True if the whole text was inserted.
+         */
+        insertText(text) {
+            const snapshot = this.createSnapshot();
+            const pastedChars = splitGraphemes(
+                text.replace(/\r\n?/g, "\n").replace(/\t/g, " ")
+            );
+            // Characters that are not allowed are dropped
+            const chars = pastedChars.filter((char) => this.isCharAllowed(char));
+            const { start, end } = this.selectionOffsets();
+            const currentText = this.inputText();
+            const buildText = (count) =>
+                currentText.slice(0, start) +
+                chars.slice(0, count).join("") +
+                currentText.slice(end);
+
+            // Find the longest part of the text that still fits
+            let count = chars.length;
+            if (!this.fitsText(buildText(count))) {
+                let low = 0;
+                let high = count - 1;
+                while (low < high) {
+                    const middle = Math.ceil((low + high) / 2);
+                    if (this.fitsText(buildText(middle))) {
+                        low = middle;
+                    } else {
+                        high = middle - 1;
+                    }
+                }
+                count = low;
+            }
+            const inserted = chars.slice(0, count).join("");
+            this.applyText(buildText(count), start + inserted.length);
+            // The whole paste is a single undo step
+            this.pushUndo(snapshot);
+
+            const truncated = count < pastedChars.length;
+            if (truncated) {
+                TextInputSoundManager.playErrorSound();
+            } else {
+                TextInputSoundManager.playCursorSound();
+            }
+            this.resetHtmlInput();
+            this.refresh();
+            return !truncated;
+        }
+
+        /**
+         * Processes backspace key to delete characters.
+         * At the start of a paragraph it joins it with the previous one.
+         */
+        processBackspace() {
+            if (this.hasSelection()) {
+                this.processDeleteSelection();
+                return;
+            }
+
+            const snapshot = this.createSnapshot();
+            const offset = this.cursorOffset();
+            if (offset > 0) {
+                const start = previousGraphemeOffset(this.inputText(), offset);
+                this.replaceRange(start, offset, "");
+            }
+            this.pushUndo(snapshot, "delete");
+            TextInputSoundManager.playCancelSound();
+            this.refresh();
+        }
+
+        /**
+         * Processes the Delete key to remove the character after the cursor.
+         * At the end of a paragraph it joins the next one into it.
+         */
+        processDelete() {
+            if (this.hasSelection()) {
+                this.processDeleteSelection();
+                return;
+            }
+
+            const snapshot = this.createSnapshot();
+            const offset = this.cursorOffset();
+            const text = this.inputText();
+            if (offset < text.length) {
+                this.replaceRange(offset, nextGraphemeOffset(text, offset), "");
+            }
+            this.pushUndo(snapshot, "forwardDelete");
+            TextInputSoundManager.playCancelSound();
+            this.refresh();
+        }
+
+        /**
+         * Processes Ctrl+Backspace and Ctrl+Delete to remove a whole word.
+         * @param {number} direction - -1 to delete backward, 1 to delete forward.
+         */
+        processDeleteWord(direction) {
+            if (!this.hasSelection()) {
+                this.clearSelection();
+                this.startSelection();
+                if (direction < 0) {
+                    this.moveCursorWordLeft();
+                } else {
+                    this.moveCursorWordRight();
+                }
+            }
+            this.breakUndoMerge();
+            this.processDeleteSelection();
+        }
+
+        /**
+         * Deletes the selected text as its own undo step.
+         */
+        processDeleteSelection() {
+            const snapshot = this.createSnapshot();
+            if (this.deleteSelection()) {
+                this.pushUndo(snapshot);
+                TextInputSoundManager.playCancelSound();
+                this.resetHtmlInput();
+                this.refresh();
+            }
+        }
+
+        /**
+         * Processes the Enter key to insert a new line.
+         */
+        processNewLine() {
+            const snapshot = this.createSnapshot();
+            if (this.insertNewLine()) {
+                this.pushUndo(snapshot);
+            }
+            this.refresh();
+        }
+
+        /**
+         * Starts a new paragraph at the cursor, replacing any selection.
+         * @returns {boolean} True if the new line was inserted.
+         */
+        insertNewLine() {
+            const { start, end } = this.selectionOffsets();
+            return this.replaceRange(start, end, "\n");
+        }
+
+        //-------------------------------------------------------------------------
+        // Clipboard Methods
+        //-------------------------------------------------------------------------
+
+        /**
+         * Copies the selected text to the system clipboard.
+         */
+        copySelection() {
+            if (this.canCopy() && this.hasSelection()) {
+                writeClipboard(this.selectedText());
+            }
+        }
+
+        /**
+         * Copies the selected text to the system clipboard and deletes it.
+         */
+        cutSelection() {
+            if (this.canCopy() && this.hasSelection()) {
+                writeClipboard(this.selectedText());
+                this.processDeleteSelection();
+            }
+        }
+
+        /**
+         * Reads the system clipboard and inserts its text at the cursor.
+         */
+        pasteFromClipboard() {
+            readClipboard().then((text) => {
+                if (text && this._inputElement) {
+                    this.insertText(text);
+                }
+            });
+        }
+
+        /**
+         * Checks whether the text may be copied. Masked text never can,
+         * like a password field.
+         * @returns {boolean}
+         */
+        canCopy() {
+            return !this._masked;
+        }
+
+        /**
+         * Selects all text in the window.
+         */
+        selectAll() {
+            const lastLine = this._lines.length - 1;
+            this._selectionAnchor = { x: 0, y: 0 };
+            this._cursorY = lastLine;
+            this._cursorX = this._lines[lastLine].length;
+            this.refresh();
+        }
+
+        /**
+         * Opens the clipboard menu at the touch position after a long press.
+         * Selects the touched word first so there is something to copy.
+         */
+        updateLongPress() {
+            if (
+                !Utils.isMobileDevice() ||
+                !TouchInput.isLongPressed() ||
+                !this.isTouchedInside() ||
+                this.isClipboardMenuActive()
+            ) {
+                return;
+            }
+
+            this._isDragging = false;
+            if (!this.hasSelection()) {
+                const touchX = TouchInput.x - this.x - this.padding;
+                const touchY = TouchInput.y - this.y - this.padding;
+                const position = this.positionAtTouch(touchX, touchY);
+                this.selectWordAt(position.x, position.y);
+                this.refresh();
+            }
+            this.openClipboardMenu(TouchInput.x, TouchInput.y);
+        }
+
+        /**
+         * Checks whether the clipboard menu is currently shown.
+         * @returns {boolean}
+         */
+        isClipboardMenuActive() {
+            return !!this._clipboardMenu && this._clipboardMenu.active;
+        }
+
+        /**
+         * Shows the clipboard menu near the given screen position.
+         * The menu is created on first use and added next to this window.
+         * @param {number} x - Screen x-coordinate of the touch.
+         * @param {number} y - Screen y-coordinate of the touch.
+         */
+        openClipboardMenu(x, y) {
+            if (!this._clipboardMenu) {
+                this._clipboardMenu = new Window_ClipboardMenu();
+                this._clipboardMenu.setHandler("cut", this.onClipboardCut.bind(this));
+                this._clipboardMenu.setHandler("copy", this.onClipboardCopy.bind(this));
+                this._clipboardMenu.setHandler("paste", this.onClipboardPaste.bind(this));
+                this._clipboardMenu.setHandler("selectAll", this.onClipboardSelectAll.bind(this));
+                this.parent.addChild(this._clipboardMenu);
+            }
+            this._clipboardMenu.setup(x, y, this.canCopy() && this.hasSelection());
+        }
+
+        onClipboardCut() {
+            this.cutSelection();
+            this.closeClipboardMenu();
+        }
+
+        onClipboardCopy() {
+            this.copySelection();
+            this.closeClipboardMenu();
+        }
+
+        onClipboardPaste() {
+            this.pasteFromClipboard();
+            this.closeClipboardMenu();
+        }
+
+        onClipboardSelectAll() {
+            this.selectAll();
+            this.closeClipboardMenu();
+        }
+
+        /**
+         * Hides the clipboard menu and gives focus back to the HTML input.
+         */
+        closeClipboardMenu() {
+            this._clipboardMenu.hide();
+            this._clipboardMenu.deactivate();
+            this.focusHtmlInput();
+        }
+
+        //-------------------------------------------------------------------------
+        // Rich Text Methods
+        //-------------------------------------------------------------------------
+
+        /**
+         * Enables or disables the rich text preview. It starts shown.
+         * @param {boolean} enabled - Whether escapes can be previewed.
+         */
+        setRichText(enabled) {
+            this._richText = enabled;
+            this._previewShown = enabled;
+            this.applyText(this.inputText(), this.cursorOffset());
+            this.refresh();
+        }
+
+        /**
+         * Checks whether escape characters are drawn instead of the source.
+         * Masked text is never previewed.
+         * @returns {boolean}
+         */
+        isPreviewShown() {
+            return this._richText && this._previewShown && !this.isMaskShown();
+        }
+
+        /**
+         * Switches between the rich text preview and the source.
+         */
+        togglePreview() {
+            if (!this._richText) return;
+
+            this._previewShown = !this._previewShown;
+            TextInputSoundManager.playCursorSound();
+            // The preview and the source differ in width, so reflow
+            this.applyText(this.inputText(), this.cursorOffset());
+            this.refresh();
+        }
+
+        //-------------------------------------------------------------------------
+        // Title Methods
+        //-------------------------------------------------------------------------
+
+        /**
+         * Sets the label drawn as a title in the top row.
+         * @param {string} text - The title, may contain escape characters.
+         */
+        setTitle(text) {
+            this._title = text;
+            this.refresh();
+        }
+
+        /**
+         * Returns the height the title takes above the text.
+         * @returns {number}
+         */
+        titleHeight() {
+            return this._title ? this.lineHeight() : 0;
+        }
+
+        /**
+         * Draws the title in the row above the first visible line.
+         */
+        drawTitle() {
+            if (!this._title) return;
+
+            const x = this.titleX();
+            const y = this.lineOriginY(this._visibleStartLine) - this.titleHeight();
+            this.drawTextEx(this._title, x, y, this.contentsWidth() - x);
+        }
+
+        /**
+         * Returns the x-coordinate in the contents where the title starts.
+         * @returns {number}
+         */
+        titleX() {
+            return this.padding;
+        }
+
+        //-------------------------------------------------------------------------
+        // Placeholder Methods
+        //-------------------------------------------------------------------------
+
+        /**
+         * Sets the hint drawn while the input is empty.
+         * @param {string} text - The hint, may contain escape characters.
+         */
+        setPlaceholder(text) {
+            this._placeholder = text;
+            this.refresh();
+        }
+
+        /**
+         * Checks whether the placeholder should be drawn. It hides as soon
+         * as the player types, including while an IME composition is open.
+         * @returns {boolean}
+         */
+        isPlaceholderShown() {
+            return (
+                !!this._placeholder &&
+                this._lines.length === 1 &&
+                this._lines[0] === "" &&
+                !this._compositionText
+            );
+        }
+
+        /**
+         * Draws the placeholder dimmed where the text would start.
+         */
+        drawPlaceholder() {
+            if (!this.isPlaceholderShown()) return;
+
+            this.changePaintOpacity(false);
+            this.drawTextEx(
+                this._placeholder,
+                this.placeholderX(),
+                this.lineOriginY(0),
+                this.contentsWidth() - this.placeholderX()
+            );
+            this.changePaintOpacity(true);
+        }
+
+        /**
+         * Returns the x-coordinate in the contents where the placeholder starts.
+         * @returns {number}
+         */
+        placeholderX() {
+            return this.lineOriginX(0);
+        }
+
+        //-------------------------------------------------------------------------
+        // Counter Methods
+        //-------------------------------------------------------------------------
+
+        /**
+         * Shows or hides the line, character and word counter.
+         * @param {boolean} visible - Whether to show the counter.
+         */
+        setCounterVisible(visible) {
+            this._showCounter = visible;
+            this.refresh();
+        }
+
+        /**
+         * Draws the counter right-aligned in the bottom row.
+         */
+        drawCounter() {
+            if (!this._showCounter) return;
+
+            const text = this.convertEscapeCharacters(this.counterText());
+            const width = this.textSizeEx(text).width;
+            const x = this.contentsWidth() - this.padding - width;
+            const y =
+                this.lineOriginY(this._visibleStartLine) +
+                this.maxVisibleLines() * this.lineHeight();
+            this.drawTextEx(text, x, y, width);
+            this.resetTextColor();
+        }
+
+        /**
+         * Returns the counter text from the Counter Format parameter.
+         * @returns {string}
+         */
+        counterText() {
+            const text = this.inputText();
+            const chars = countGraphemes(text.replace(/\n/g, ""));
+            const maxChars = this._validator ? this._validator.maxChars() : 0;
+            return COUNTER_FORMAT.format(
+                this.counterValue(this._lines.length, this._maxLines),
+                this._maxLines,
+                this.counterValue(chars, maxChars),
+                maxChars > 0 ? maxChars : "∞",
+                countWords(text)
+            );
+        }
+
+        /**
+         * Colors a counter number by how close it is to its limit.
+         * @param {number} value - The current amount.
+         * @param {number} max - The limit, 0 if unlimited.
+         * @returns {string} The number with color escapes.
+         */
+        counterValue(value, max) {
+            if (max <= 0 || value < max * COUNTER_WARNING_RATIO) {
+                return String(value);
+            }
+            // 18 is the death color and 17 the crisis color
+            const color = value >= max ? 18 : 17;
+            return `\\C[${color}]${value}\\C[0]`;
+        }
+
+        //-------------------------------------------------------------------------
+        // IME Composition Methods
+        //-------------------------------------------------------------------------
+
+        /**
+         * Reads the caret and the clause being converted from the selection
+         * the IME keeps in the HTML input.
+         */
+        updateCompositionSelection() {
+            const length = this._compositionText.length;
+            const start = this._inputElement.selectionStart - this._compositionStart;
+            const end = this._inputElement.selectionEnd - this._compositionStart;
+            this._compositionCaret = end.clamp(0, length);
+            this._compositionClause =
+                start < end
+                    ? { start: start.clamp(0, length), end: this._compositionCaret }
+                    : null;
+        }
+
+        /**
+         * Returns how far the caret is into the composition, in pixels.
+         * @returns {number}
+         */
+        compositionCaretWidth() {
+            if (!this._compositionText) return 0;
+            return this.textWidth(
+                this._compositionText.slice(0, this._compositionCaret)
+            );
+        }
+
+        /**
+         * Draws the composition at the cursor, pushing the rest of the line
+         * to the right. It has a dotted underline, and the clause being
+         * converted is highlighted with a solid one.
+         */
+        drawComposition() {
+            const text = this._compositionText;
+            if (!text) return;
+
+            const x = this.cursorPixelX();
+            const y = this.lineOriginY(this._cursorY);
+            const lineHeight = this.lineHeight();
+            const width = this.textWidth(text);
+            const rest = this._lines[this._cursorY].slice(this._cursorX);
+
+            this.contents.clearRect(x, y, this.contentsWidth() - x, lineHeight);
+            const clause = this._compositionClause;
+            if (clause) {
+                const clauseX = x + this.textWidth(text.slice(0, clause.start));
+                const clauseWidth = this.textWidth(text.slice(clause.start, clause.end));
+                this.contents.paintOpacity = 96;
+                this.contents.fillRect(
+                    clauseX,
+                    y,
+                    clauseWidth,
+                    lineHeight,
+                    ColorManager.systemColor()
+                );
+                this.contents.paintOpacity = 255;
+                this.contents.fillRect(
+                    clauseX,
+                    y + lineHeight - 4,
+                    clauseWidth,
+                    2,
+                    ColorManager.normalColor()
+                );
+            }
+            this.drawText(text, x, y);
+            this.drawLineText(rest, x + width, y);
+
+            for (let dotX = 0; dotX < width; dotX += 4) {
+                this.contents.fillRect(
+                    x + dotX,
+                    y + lineHeight - 4,
+                    2,
+                    2,
+                    ColorManager.normalColor()
+                );
+            }
+        }
+
+        /**
+         * Moves the hidden HTML input to the cursor's position on the page,
+         * so the IME candidate window opens next to the text being typed.
+         */
+        updateHtmlInputPosition() {
+            const canvas = Graphics._canvas;
+            if (!canvas || !this._inputElement) return;
+
+            const point = this.toGlobal(
+                new Point(
+                    this.padding + this.cursorPixelX() + this.compositionCaretWidth(),
+                    this.padding + this.lineOriginY(this._cursorY) + this.lineHeight()
+                )
+            );
+            const rect = canvas.getBoundingClientRect();
+            const scale = rect.width / Graphics.width;
+            const left = `${Math.round(rect.left + window.scrollX + point.x * scale)}px`;
+            const top = `${Math.round(rect.top + window.scrollY + point.y * scale)}px`;
+            if (this._inputElement.style.left !== left || this._inputElement.style.top !== top) {
+                this._inputElement.style.left = left;
+                this._inputElement.style.top = top;
+            }
+        }
+
+        //-------------------------------------------------------------------------
+        // Mask Methods
+        //-------------------------------------------------------------------------
+
+        /**
+         * Hides the text behind the mask character, like a password field.
+         * The real text is kept in _lines. The HTML input becomes a password
+         * input so mobile keyboards stop suggesting words.
+         * @param {boolean} masked - Whether to mask the text.
+         * @param {boolean} allowReveal - Whether the player may unmask it.
+         */
+        setMasked(masked, allowReveal) {
+            this._masked = masked;
+            this._allowReveal = masked && allowReveal;
+            this._revealed = false;
+            if (this._inputElement) {
+                this._inputElement.type = masked ? "password" : "text";
+            }
+            this.applyText(this.inputText(), this.cursorOffset());
+            this.refresh();
+        }
+
+        /**
+         * Checks whether mask characters are currently drawn.
+         * @returns {boolean}
+         */
+        isMaskShown() {
+            return this._masked && !this._revealed;
+        }
+
+        /**
+         * Shows or hides the masked text.
+         */
+        toggleReveal() {
+            if (!this._allowReveal) return;
+
+            this._revealed = !this._revealed;
+            if (!this.fitsText(this.inputText())) {
+                // The real text is wider than the mask and would not fit
+                this._revealed = !this._revealed;
+                TextInputSoundManager.playErrorSound();
+                return;
+            }
+            TextInputSoundManager.playCursorSound();
+            // Mask characters and real text differ in width, so reflow
+            this.applyText(this.inputText(), this.cursorOffset());
+            this.refresh();
+        }
+
+        /**
+         * Checks whether the reveal icon is drawn.
+         * @returns {boolean}
+         */
+        hasRevealIcon() {
+            return this._allowReveal && MASK_REVEAL_ICON > 0;
+        }
+
+        /**
+         * Returns the area of the reveal icon in the contents.
+         * @returns {Rectangle}
+         */
+        revealIconRect() {
+            const width = ImageManager.iconWidth;
+            const height = ImageManager.iconHeight;
+            const x = this.contentsWidth() - width - 4;
+            const y = this.padding + (this.lineHeight() - height) / 2;
+            return new Rectangle(x, y, width, height);
+        }
+
+        /**
+         * Draws the reveal icon, dimmed while the text is hidden.
+         */
+        drawRevealIcon() {
+            if (!this.hasRevealIcon()) return;
+
+            const rect = this.revealIconRect();
+            this.changePaintOpacity(this._revealed);
+            this.drawIcon(MASK_REVEAL_ICON, rect.x, rect.y);
+            this.changePaintOpacity(true);
+        }
+
+        /**
+         * Checks whether the current touch is on the reveal icon.
+         * @returns {boolean}
+         */
+        isRevealIconTouched() {
+            if (!this.hasRevealIcon()) return false;
+
+            const rect = this.revealIconRect();
+            const touchX = TouchInput.x - this.x - this.padding;
+            const touchY = TouchInput.y - this.y - this.padding;
+            return (
+                touchX >= rect.x &&
+                touchX < rect.x + rect.width &&
+                touchY >= rect.y &&
+                touchY < rect.y + rect.height
+            );
+        }
+
+        //-------------------------------------------------------------------------
+        // Undo History Methods
+        //-------------------------------------------------------------------------
+
+        /**
+         * Captures the text, cursor and selection so they can be restored.
+         * @returns {object} A snapshot of the current editing state.
+         */
+        createSnapshot() {
+            return {
+                lines: this._lines.slice(),
+                softBreaks: this._softBreaks.slice(),
+                cursorX: this._cursorX,
+                cursorY: this._cursorY,
+                anchor: this._selectionAnchor && { ...this._selectionAnchor },
+            };
+        }
+
+        /**
+         * Restores a snapshot taken by createSnapshot.
+         * @param {object} snapshot - The editing state to restore.
+         */
+        restoreSnapshot(snapshot) {
+            this._lines = snapshot.lines.slice();
+            this._softBreaks = snapshot.softBreaks.slice();
+            this._cursorX = snapshot.cursorX;
+            this._cursorY = snapshot.cursorY;
+            this._selectionAnchor = snapshot.anchor && { ...snapshot.anchor };
+            this.notifyChange();
+        }
+
+        /**
+         * Records the state before an edit as an undo step.
+         * Edits of the same kind in a row (e.g. typing) are merged into the
+         * step that started them. Edits that left the text unchanged are ignored.
+         * @param {object} snapshot - The state captured before the edit.
+         * @param {string} [kind] - "typing" or "delete" to allow merging.
+         */
+        pushUndo(snapshot, kind) {
+            if (snapshot.lines.join("\n") === this._lines.join("\n")) return;
+            if (UNDO_HISTORY_DEPTH <= 0) return;
+
+            if (!kind || kind !== this._lastEditKind) {
+                this._undoStack.push(snapshot);
+                if (this._undoStack.length > UNDO_HISTORY_DEPTH) {
+                    this._undoStack.shift();
+                }
+            }
+            this._redoStack = [];
+            this._lastEditKind = kind || null;
+        }
+
+        /**
+         * Stops the next edit from merging into the previous undo step.
+         */
+        breakUndoMerge() {
+            this._lastEditKind = null;
+        }
+
+        /**
+         * Forgets all undo and redo steps.
+         */
+        clearUndoHistory() {
+            this._undoStack = [];
+            this._redoStack = [];
+            this._lastEditKind = null;
+        }
+
+        /**
+         * Reverts the last edit.
+         */
+        undo() {
+            this.stepHistory(this._undoStack, this._redoStack);
+        }
+
+        /**
+         * Reapplies the last undone edit.
+         */
+        redo() {
+            this.stepHistory(this._redoStack, this._undoStack);
+        }
+
+        /**
+         * Moves one snapshot from a history stack into the window, saving the
+         * current state on the opposite stack. Plays the error sound if empty.
+         * @param {object[]} from - Stack to restore from.
+         * @param {object[]} to - Stack that receives the current state.
+         */
+        stepHistory(from, to) {
+            if (from.length === 0) {
+                TextInputSoundManager.playErrorSound();
+                return;
+            }
+            to.push(this.createSnapshot());
+            this.restoreSnapshot(from.pop());
+            this.breakUndoMerge();
+            this.resetHtmlInput();
+            TextInputSoundManager.playCursorSound();
+            this.refresh();
+        }
+
+        /**
+         * Handles Ctrl+Z (undo), Ctrl+Y and Ctrl+Shift+Z (redo).
+         * @param {KeyboardEvent} event - The keydown event.
+         * @returns {boolean} True if the key was an undo or redo shortcut.
+         */
+        processUndoKey(event) {
+            if (!event.ctrlKey && !event.metaKey) return false;
+
+            const key = event.key.toLowerCase();
+            if (key === "z" && !event.shiftKey) {
+                this.undo();
+                return true;
+            }
+            if (key === "y" || (key === "z" && event.shiftKey)) {
+                this.redo();
+                return true;
+            }
+            return false;
+        }
+
+        //-------------------------------------------------------------------------
+        // HTML Input Setup and Handling
+        //-------------------------------------------------------------------------
+
+        /**
+         * Creates and configures an invisible HTML input element to capture keyboard input.
+         * The element is positioned off-screen but remains functional for capturing
+         * keystrokes, composition events, and handling mobile keyboard interactions.
+         * Sets up event listeners for input processing and key handling.
+         */
+        createHtmlInput() {
+            this._inputElement = document.createElement("input");
+            this._inputElement.type = "text";
+
+            Object.assign(this._inputElement.style, {
+                position: "absolute",
+                opacity: "0",
+                left: "0",
+                top: "0",
+                width: "1px",
+                height: "1px",
+            });
+
+            // Disable suggestions and autocorrect
+            this._inputElement.setAttribute("autocomplete", "off");
+            this._inputElement.setAttribute("autocorrect", "off");
+            this._inputElement.setAttribute("autocapitalize", "off");
+            this._inputElement.setAttribute("spellcheck", "false");
+            this._inputElement.setAttribute("data-gramm", "false");
+
+            document.body.appendChild(this._inputElement);
+
+            // Initialize state tracking
+            this._isComposing = false;
+            this._lastInputValue = "";
+            this._compositionText = ""; // IME text not committed yet
+            this._compositionStart = 0; // Where the composition starts in the HTML input
+            this._compositionCaret = 0; // Caret position inside the composition
+            this._compositionClause = null; // Clause being converted, {start, end}
+
+            // Composition handlers
+            this._boundOnCompositionStart = () => {
+                this._isComposing = true;
+                this._compositionText = "";
+                // The composition is typed at the caret of the HTML input
+                this._compositionStart = this._inputElement.selectionStart;
+            };
+
+            this._boundOnCompositionUpdate = (event) => {
+                this._compositionText = event.data || "";
+                this.updateCompositionSelection();
+                this.refresh();
+            };
+
+            this._boundOnCompositionEnd = () => {
+                this._isComposing = false;
+                this._compositionText = "";
+                this.processInputDifference();
+            };
+
+            // Modified input handler
+            this._boundOnInputChange = (event) => {
+                if (!this._isComposing) {
+                    this.processInputDifference();
+                } else {
+                    // The selection of the HTML input is current only now
+                    this.updateCompositionSelection();
+                    this.refresh();
+                }
+            };
+
+            // Clipboard handlers, fired by Ctrl+C/X/V on the focused input
+            this._boundOnCopy = (event) => {
+                event.preventDefault();
+                if (this.canCopy() && this.hasSelection()) {
+                    event.clipboardData.setData("text/plain", this.selectedText());
+                }
+            };
+
+            this._boundOnCut = (event) => {
+                this._boundOnCopy(event);
+                if (this.canCopy()) {
+                    this.processDeleteSelection();
+                }
+            };
+
+            this._boundOnPaste = (event) => {
+                // Insert the whole paste at once instead of letting it
+                // arrive through processInputDifference
+                event.preventDefault();
+                const text = event.clipboardData.getData("text/plain");
+                if (text) {
+                    this.insertText(text);
+                }
+            };
+
+            // Keydown handler
+            this._boundHandleKeyDown = (event) => {
+                if (event.shiftKey && event.key === "Enter") {
+                    event.preventDefault();
+                    this.playOkSound();
+                    this.triggerOk();
+                    return;
+                }
+
+                if (this.processUndoKey(event)) {
+                    event.preventDefault();
+                    return;
+                }
+
+                if (this._masked && this._allowReveal && event.key === MASK_REVEAL_KEY) {
+                    event.preventDefault();
+                    this.toggleReveal();
+                    return;
+                }
+
+                if (this._richText && event.key === RICH_TEXT_TOGGLE_KEY) {
+                    event.preventDefault();
+                    this.togglePreview();
+                    return;
+                }
+
+                switch (event.key) {
+                    case "ArrowLeft":
+                    case "ArrowRight":
+                    case "ArrowUp":
+                    case "ArrowDown":
+                    case "Home":
+                    case "End":
+                    case "PageUp":
+                    case "PageDown":
+                        event.preventDefault();
+                        this.processNavigationKey(
+                            event.key,
+                            event.shiftKey,
+                            event.ctrlKey
+                        );
+                        this.resetHtmlInput();
+                        this.refresh();
+                        break;
+                    case "Backspace":
+                        event.preventDefault();
+                        if (event.ctrlKey) {
+                            this.processDeleteWord(-1);
+                            this.resetHtmlInput();
+                        } else {
+                            this.processBackspace();
+                            this.syncHtmlInput();
+                        }
+                        this.refresh();
+                        break;
+                    case "Delete":
+                        event.preventDefault();
+                        if (event.ctrlKey) {
+                            this.processDeleteWord(1);
+                        } else {
+                            this.processDelete();
+                        }
+                        this._lastInputValue = this._inputElement.value;
+                        this.refresh();
+                        break;
+                    case "Escape":
+                        event.preventDefault();
+                        this.triggerCancel();
+                        break;
+                    case "Tab":
+                        // Only forms move the focus, elsewhere Tab does nothing
+                        event.preventDefault();
+                        this.callHandler(event.shiftKey ? "shiftTab" : "tab");
+                        break;
+                    case "Enter":
+                        event.preventDefault();
+                        this.processNewLine();
+                        this.resetHtmlInput();
+                        this.refresh();
+                        break;
+                }
+            };
+
+            this._boundOnBeforeInput = this.processBeforeInput.bind(this);
+
+            this._inputElement.addEventListener(
+                "compositionstart",
+                this._boundOnCompositionStart
+            );
+            this._inputElement.addEventListener(
+                "compositionupdate",
+                this._boundOnCompositionUpdate
+            );
+            this._inputElement.addEventListener(
+                "compositionend",
+                this._boundOnCompositionEnd
+            );
+            this._inputElement.addEventListener(
+                "beforeinput",
+                this._boundOnBeforeInput
+            );
+            this._inputElement.addEventListener(
+                "input",
+                this._boundOnInputChange
+            );
+            this._inputElement.addEventListener(
+                "keydown",
+                this._boundHandleKeyDown
+            );
+            this._inputElement.addEventListener("copy", this._boundOnCopy);
+            this._inputElement.addEventListener("cut", this._boundOnCut);
+            this._inputElement.addEventListener("paste", this._boundOnPaste);
+
+            this.focusHtmlInput();
+        }
+
+        /**
+         * Handles edits announced by beforeinput that the HTML input cannot
+         * apply correctly itself: deleting when the HTML input has nothing
+         * left to delete (mobile keyboards send no Backspace key), line
+         * breaks, drops and the browser's own undo. Everything else is left
+         * to the input event and processInputDifference.
+         * @param {InputEvent} event
+         */
+        processBeforeInput(event) {
+            if (event.isComposing) return;
+
+            const isEmpty = this._inputElement.value === "";
+            switch (event.inputType) {
+                case "insertLineBreak":
+                case "insertParagraph":
+                    event.preventDefault();
+                    this.processNewLine();
+                    break;
+                case "insertFromDrop":
+                    event.preventDefault();
+                    if (event.dataTransfer) {
+                        this.insertText(event.dataTransfer.getData("text/plain"));
+                    }
+                    break;
+                case "historyUndo":
+                    event.preventDefault();
+                    this.undo();
+                    break;
+                case "historyRedo":
+                    event.preventDefault();
+                    this.redo();
+                    break;
+                case "deleteContentBackward":
+                case "deleteContentForward":
+                case "deleteWordBackward":
+                case "deleteWordForward":
+                case "deleteSoftLineBackward":
+                case "deleteHardLineBackward":
+                    // The HTML input only knows what was typed since the
+                    // cursor last moved, so deletions beyond it or of the
+                    // window's selection are applied here
+                    if (!isEmpty && !this.hasSelection()) return;
+                    event.preventDefault();
+                    this.processDeleteInput(event.inputType);
+                    break;
+                default:
+                    return;
+            }
+            this.resetHtmlInput();
+            this.refresh();
+        }
+
+        /**
+         * Applies a deletion input type to the text.
+         * @param {string} inputType - The InputEvent inputType.
+         */
+        processDeleteInput(inputType) {
+            switch (inputType) {
+                case "deleteContentBackward":
+                    this.processBackspace();
+                    break;
+                case "deleteContentForward":
+                    this.processDelete();
+                    break;
+                case "deleteWordBackward":
+                    this.processDeleteWord(-1);
+                    break;
+                case "deleteWordForward":
+                    this.processDeleteWord(1);
+                    break;
+                default:
+                    // Delete back to the start of the line
+                    if (!this.hasSelection()) {
+                        this.startSelection();
+                        this.moveCursorHome(false);
+                    }
+                    this.breakUndoMerge();
+                    this.processDeleteSelection();
+                    break;
+            }
+        }
+
+        /**
+         * Compares the current HTML input value with the previous one and
+         * applies the difference to the text. The HTML input holds what was
+         * typed since the cursor last moved, ending at the cursor, so the
+         * changed part between the common prefix and suffix maps onto the
+         * text before the cursor. This covers typing, IME commits and
+         * reconversion, and autocorrect replacing a word in the middle.
+         */
+        processInputDifference() {
+            const currentValue = this._inputElement.value;
+            const previousValue = this._lastInputValue;
+            if (currentValue === previousValue) return;
+
+            const { prefix, suffix } = this.commonAffixes(previousValue, currentValue);
+            const removedLength = previousValue.length - prefix - suffix;
+            const inserted = currentValue.slice(prefix, currentValue.length - suffix);
+
+            if (removedLength === 0 && suffix === 0) {
+                // Plain typing at the cursor
+                for (const char of splitGraphemes(inserted)) {
+                    this.processChar(char);
+                }
+            } else if (inserted === "" && suffix === 0) {
+                // Plain deletion before the cursor, one character at a time
+                const removedCount = countGraphemes(previousValue.slice(prefix));
+                for (let i = 0; i < removedCount; i++) {
+                    this.processBackspace();
+                }
+            } else {
+                this.replaceBeforeCursor(previousValue, prefix, suffix, inserted);
+            }
+
+            this._lastInputValue = currentValue;
+            this.syncHtmlInput();
+            this.refresh();
+        }
+
+        /**
+         * Finds the length of the common prefix and suffix of two values,
+         * never splitting a surrogate pair and never letting them overlap.
+         * @param {string} previous - The previous value.
+         * @param {string} current - The current value.
+         * @returns {{prefix: number, suffix: number}}
+         */
+        commonAffixes(previous, current) {
+            const maxLength = Math.min(previous.length, current.length);
+            let prefix = 0;
+            while (prefix < maxLength && previous[prefix] === current[prefix]) {
+                prefix++;
+            }
+            if (prefix > 0 && /[\uD800-\uDBFF]/.test(previous[prefix - 1])) {
+                prefix--;
+            }
+
+            let suffix = 0;
+            while (
+                suffix < maxLength - prefix &&
+                previous[previous.length - 1 - suffix] ===
+                    current[current.length - 1 - suffix]
+            ) {
+                suffix++;
+            }
+            if (suffix > 0 && /[\uDC00-\uDFFF]/.test(previous[previous.length - suffix])) {
+                suffix--;
+            }
+            return { prefix, suffix };
+        }
+
+        /**
+         * Replaces part of what was typed before the cursor, as one undo
+         * step. If the text no longer ends with the previous HTML input value
+         * (a character was rejected, for example), the replaced range cannot
+         * be located, so only the inserted part is typed at the cursor.
+         * @param {string} previousValue - The previous HTML input value.
+         * @param {number} prefix - Length of the unchanged start.
+         * @param {number} suffix - Length of the unchanged end.
+         * @param {string} inserted - The new text between them.
+         */
+        replaceBeforeCursor(previousValue, prefix, suffix, inserted) {
+            this.breakUndoMerge();
+            const snapshot = this.createSnapshot();
+            const cursor = this.cursorOffset();
+            const typed = this.inputText().slice(0, cursor);
+            const chars = splitGraphemes(inserted).filter((char) => this.isCharAllowed(char));
+            const replacement = chars.join("");
+
+            let changed;
+            if (this.hasSelection() || !typed.endsWith(previousValue)) {
+                const { start, end } = this.selectionOffsets();
+                changed = this.replaceRange(start, end, replacement);
+            } else {
+                const start = cursor - previousValue.length + prefix;
+                const end = cursor - suffix;
+                changed = this.replaceRange(start, end, replacement);
+                if (changed) {
+                    // Keep the cursor after the unchanged end, where it was
+                    this.setCursorOffset(start + replacement.length + suffix);
+                }
+            }
+
+            if (changed && replacement.length === inserted.length) {
+                this.pushUndo(snapshot, "replace");
+                TextInputSoundManager.playCursorSound();
+            } else {
+                if (changed) {
+                    this.pushUndo(snapshot, "replace");
+                }
+                TextInputSoundManager.playErrorSound();
+            }
+        }
+
+        /**
+         * Clears the HTML input if it no longer matches the text before the
+         * cursor, so the next difference is not applied to the wrong place.
+         */
+        syncHtmlInput() {
+            const typed = this.inputText().slice(0, this.cursorOffset());
+            if (!typed.endsWith(this._inputElement.value)) {
+                this.resetHtmlInput();
+            }
+        }
+
+        /**
+         * Called when the HTML input changes. Processes new characters or new lines.
+         * @param {InputEvent} event
+         */
+        onInputChange(event) {
+            const value = event.target.value;
+            if (value) {
+                if (value === "\n") {
+                    this.processNewLine();
+                } else {
+                    // Process each character typed.
+                    for (const char of value) {
+                        this.processChar(char);
+                    }
+                }
+                // Clear the input after processing.
+                this._inputElement.value = "";
+                this.refresh();
+            }
+        }
+
+        /**
+         * Cleanly removes the HTML input element and its event listeners.
+         */
+        destroy() {
+            if (this._inputElement) {
+                this._inputElement.removeEventListener(
+                    "compositionstart",
+                    this._boundOnCompositionStart
+                );
+                this._inputElement.removeEventListener(
+                    "compositionupdate",
+                    this._boundOnCompositionUpdate
+                );
+                this._inputElement.removeEventListener(
+                    "compositionend",
+                    this._boundOnCompositionEnd
+                );
+                this._inputElement.removeEventListener(
+                    "beforeinput",
+                    this._boundOnBeforeInput
+                );
+                this._inputElement.removeEventListener(
+                    "input",
+                    this._boundOnInputChange
+                );
+                this._inputElement.removeEventListener(
+                    "keydown",
+                    this._boundHandleKeyDown
+                );
+                this._inputElement.removeEventListener("copy", this._boundOnCopy);
+                this._inputElement.removeEventListener("cut", this._boundOnCut);
+                this._inputElement.removeEventListener("paste", this._boundOnPaste);
+                document.body.removeChild(this._inputElement);
+                this._inputElement = null;
+            }
+            super.destroy();
+        }
+
+        /**
+         * Plays the OK sound
+         */
+        playOkSound() {
+            TextInputSoundManager.playOkSound();
+        }
+
+        /**
+         * Sets the callback for a symbol, like Window_Selectable.
+         * @param {string} symbol - "ok" or "cancel".
+         * @param {Function} method - The callback.
+         */
+        setHandler(symbol, method) {
+            this._handlers[symbol] = method;
+        }
+
+        /**
+         * Checks whether a callback is set for a symbol.
+         * @param {string} symbol - The handler symbol.
+         * @returns {boolean}
+         */
+        isHandled(symbol) {
+            return !!this._handlers[symbol];
+        }
+
+        /**
+         * Calls the callback for a symbol if one is set.
+         * @param {string} symbol - The handler symbol.
+         */
+        callHandler(symbol) {
+            if (this.isHandled(symbol)) {
+                this._handlers[symbol]();
+            }
+        }
+
+        /**
+         * Triggers the OK button action from the scene.
+         */
+        triggerOk() {
+            this.callHandler("ok");
+        }
+
+        /**
+         * Triggers the cancel action from the scene, if cancelling is allowed.
+         */
+        triggerCancel() {
+            if (this.isHandled("cancel")) {
+                TextInputSoundManager.playCancelSound();
+                this.callHandler("cancel");
+            }
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Window for Name Input
+    //-------------------------------------------------------------------------
+
+    class Window_NameInput extends Window_TextInput {
+        initialize(x, y, width, height, actor, maxChars) {
+            this._actor = actor;
+            this._maxChars = maxChars;
+            super.initialize(x, y, width, height, 1); // maxLines = 1
+
+            // Set initial text to actor's current name
+            this._lines[0] = this._actor.name();
+            this._cursorX = this._lines[0].length;
+
+            this.refresh();
+        }
+
+        refresh() {
+            this.contents.clear();
+            this.drawActorFace();
+            this.drawTitle();
+            this.drawTextLines();
+            this.drawPlaceholder();
+            this.drawComposition();
+            this.drawCursor();
+        }
+
+        drawActorFace() {
+            const faceWidth = ImageManager.faceWidth;
+            const faceHeight = ImageManager.faceHeight;
+            const padding = this.padding;
+
+            // Draw face on the left side
+            this.drawFace(
+                this._actor.faceName(),
+                this._actor.faceIndex(),
+                padding,
+                padding,
+                faceWidth,
+                faceHeight
+            );
+        }
+
+        drawTextLines() {
+            const line = this._lines[0] || "";
+            this.drawSelection(0);
+            this.drawText(
+                line,
+                this.lineOriginX(0),
+                this.lineOriginY(0),
+                this.availableTextWidth(),
+                'left'
+            );
+        }
+
+        /**
+         * Returns the width available for the name next to the face.
+         * @returns {number}
+         */
+        availableTextWidth() {
+            const faceWidth = ImageManager.faceWidth;
+            const padding = 8; // Reduced padding from default
+            return this.width - (faceWidth + padding * 4);
+        }
+
+        /**
+         * Centers the name horizontally in the space next to the face.
+         * @param {number} lineIndex - Index of the line.
+         * @returns {number}
+         */
+        lineOriginX(lineIndex) {
+            const faceWidth = ImageManager.faceWidth;
+            const padding = 8;
+            const textWidth = this.displayWidth(this._lines[lineIndex] || "");
+            return (
+                faceWidth +
+                padding * 2 +
+                Math.max(0, (this.availableTextWidth() - textWidth) / 2)
+            );
+        }
+
+        lineOriginY(lineIndex) {
+            return 8 + this.titleHeight();
+        }
+
+        /**
+         * Starts the title next to the face.
+         * @returns {number}
+         */
+        titleX() {
+            return ImageManager.faceWidth + 16;
+        }
+
+        /**
+         * Centers the placeholder like the name.
+         * @returns {number}
+         */
+        placeholderX() {
+            const faceWidth = ImageManager.faceWidth;
+            const padding = 8;
+            const textWidth = this.textSizeEx(this._placeholder).width;
+            return (
+                faceWidth +
+                padding * 2 +
+                Math.max(0, (this.availableTextWidth() - textWidth) / 2)
+            );
+        }
+
+        wrapWidth() {
+            return this.availableTextWidth();
+        }
+
+        fitsText(text) {
+            return countGraphemes(text) <= this._maxChars && super.fitsText(text);
+        }
+
+        isTouchedInside() {
+            const faceWidth = ImageManager.faceWidth;
+            const padding = this.padding;
+            const touchX = TouchInput.x - this.x - (faceWidth + padding * 2);
+            const touchY = TouchInput.y - this.y - this.padding;
+
+            return (
+                touchX >= 0 &&
+                touchX < this.width - (faceWidth + padding * 2) &&
+                touchY >= 0 &&
+                touchY < this.height
+            );
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Window for Number Input
+    //-------------------------------------------------------------------------
+
+    class Window_NumberInput extends Window_TextInput {
+        /**
+         * Initializes the number input window.
+         * @param {number} x - x-coordinate of the window.
+         * @param {number} y - y-coordinate of the window.
+         * @param {number} width - Width of the window.
+         * @param {number} height - Height of the window.
+         * @param {object} options - Range settings.
+         * @param {number} options.min - Smallest allowed value.
+         * @param {number} options.max - Largest allowed value.
+         * @param {number} options.step - Amount changed by Up/Down.
+         * @param {boolean} options.allowDecimal - Whether a decimal point can be typed.
+         */
+        initialize(x, y, width, height, options) {
+            this._min = options.min;
+            this._max = options.max;
+            this._step = options.step;
+            this._allowDecimal = options.allowDecimal;
+            super.initialize(x, y, width, height, 1); // maxLines = 1
+
+            // Show a number pad on mobile keyboards
+            this._inputElement.setAttribute(
+                "inputmode",
+                this._allowDecimal ? "decimal" : "numeric"
+            );
+        }
+
+        update() {
+            super.update();
+            this.updateGamepadStep();
+        }
+
+        /**
+         * Steps the value with the gamepad's Up/Down buttons.
+         */
+        updateGamepadStep() {
+            if (!this.active) return;
+
+            if (TextInputDevice.isGamepadRepeated("up")) {
+                this.stepValue(1);
+            } else if (TextInputDevice.isGamepadRepeated("down")) {
+                this.stepValue(-1);
+            }
+        }
+
+        /**
+         * Returns the typed number clamped to the range. Empty or unfinished
+         * input counts as 0.
+         * @returns {number}
+         */
+        value() {
+            const value = Number(this.inputText());
+            return (Number.isFinite(value) ? value : 0).clamp(this._min, this._max);
+        }
+
+        /**
+         * Returns how many digits a number has after the decimal point.
+         * @param {number} value - The number to check.
+         * @returns {number}
+         */
+        decimalPlaces(value) {
+            return (String(value).split(".")[1] || "").length;
+        }
+
+        /**
+         * Adds steps to the value and replaces the text with the result.
+         * @param {number} steps - Number of steps, negative to decrease.
+         */
+        stepValue(steps) {
+            const value = this.value();
+            // Round away floating point noise such as 0.1 + 0.2
+            const decimals = Math.max(
+                this.decimalPlaces(value),
+                this.decimalPlaces(this._step)
+            );
+            const newValue = Number(
+                (value + this._step * steps).toFixed(decimals)
+            ).clamp(this._min, this._max);
+            const text = String(newValue);
+            if (text === this.inputText()) {
+                TextInputSoundManager.playErrorSound();
+                return;
+            }
+
+            const snapshot = this.createSnapshot();
+            this.applyText(text, text.length);
+            this.pushUndo(snapshot, "step");
+            TextInputSoundManager.playCursorSound();
+            this.refresh();
+        }
+
+        /**
+         * Up/Down step the value and PageUp/PageDown step it ten times.
+         * Other keys move the cursor as usual.
+         * @param {string} key - The KeyboardEvent key.
+         * @param {boolean} extend - Whether Shift is held.
+         * @param {boolean} ctrl - Whether Ctrl is held.
+         */
+        processNavigationKey(key, extend, ctrl) {
+            const steps = { ArrowUp: 1, ArrowDown: -1, PageUp: 10, PageDown: -10 };
+            if (key in steps && !extend) {
+                this.stepValue(steps[key]);
+            } else {
+                super.processNavigationKey(key, extend, ctrl);
+            }
+        }
+
+        /**
+         * Enter confirms the number, as there is no second line.
+         */
+        processNewLine() {
+            this.playOkSound();
+            this.triggerOk();
+        }
+
+        isCharAllowed(char) {
+            return /[0-9+-]/.test(char) || (this._allowDecimal && char === ".");
+        }
+
+        /**
+         * Only accepts text that is a number or the start of one.
+         * @param {string} text - The full text to check.
+         * @returns {boolean}
+         */
+        fitsText(text) {
+            return PARTIAL_NUMBER_REGEX.test(text) && super.fitsText(text);
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Window for Text Input inside Messages
+    //-------------------------------------------------------------------------
+
+    class Window_MessageTextInput extends Window_TextInput {
+        /**
+         * Opens a one-line input next to the message window for \TI[n,m].
+         * @param {Window_Message} messageWindow - The message that asked for input.
+         * @param {number} variableId - ID of the variable to store the text.
+         * @param {number} maxChars - Maximum characters, 0 for no limit.
+         */
+        initialize(messageWindow, variableId, maxChars) {
+            this._messageWindow = messageWindow;
+            this._variableId = variableId;
+            const width = messageWindow.width * 0.6;
+            const height = messageWindow.fittingHeight(1);
+            super.initialize(0, 0, width, height, 1);
+            this.updatePlacement();
+            this.setValidator(new TextInputValidator({ maxChars: maxChars }));
+            this.setHandler("ok", this.onInputOk.bind(this));
+        }
+
+        /**
+         * Places the window below the message, or above it when the message
+         * is in the lower half of the screen, like Input Number.
+         */
+        updatePlacement() {
+            const messageY = this._messageWindow.y;
+            const totalWidth = this.width + MESSAGE_INPUT_SPACING + this.okButtonWidth();
+            this.x = (Graphics.boxWidth - totalWidth) / 2;
+            if (messageY >= Graphics.boxHeight / 2) {
+                this.y = messageY - this.height - MESSAGE_INPUT_SPACING;
+            } else {
+                this.y = messageY + this._messageWindow.height + MESSAGE_INPUT_SPACING;
+            }
+        }
+
+        /**
+         * Returns the width of the OK button placed to the right of the input.
+         * @returns {number}
+         */
+        okButtonWidth() {
+            return Graphics.boxWidth * 0.15;
+        }
+
+        /**
+         * Gamepad OK confirms the input unless the virtual keyboard is shown,
+         * which then types with it instead.
+         */
+        update() {
+            super.update();
+            if (
+                this.active &&
+                !this._messageWindow.isTextInputKeyboardShown() &&
+                TextInputDevice.isGamepadTriggered("ok")
+            ) {
+                this.processNewLine();
+            }
+        }
+
+        /**
+         * Enter and gamepad OK confirm the input since it is always a single line.
+         */
+        processNewLine() {
+            this.playOkSound();
+            this.triggerOk();
+        }
+
+        /**
+         * Stores the text and lets the message continue.
+         */
+        onInputOk() {
+            const text = this.inputText().trim() || 0; // Default to 0 int if empty, like OpenTextInput
+            $gameVariables.setValue(this._variableId, text);
+            this._messageWindow.endTextInput();
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Window for Clipboard Menu
+    //-------------------------------------------------------------------------
+
+    class Window_ClipboardMenu extends Window_HorzCommand {
+        /**
+         * Creates the hidden clipboard menu. It is shown by setup().
+         */
+        constructor() {
+            super(new Rectangle(0, 0, Graphics.boxWidth * 0.6, 0));
+            this.height = this.fittingHeight(1);
+            this.createContents();
+            this.hide();
+            this.deactivate();
+        }
+
+        maxCols() {
+            return 4;
+        }
+
+        /**
+         * Defines the cut, copy, paste and select all commands.
+         */
+        makeCommandList() {
+            const hasSelection = !!this._hasSelection;
+            this.addCommand(CLIPBOARD_MENU.cut, "cut", hasSelection);
+            this.addCommand(CLIPBOARD_MENU.copy, "copy", hasSelection);
+            this.addCommand(CLIPBOARD_MENU.paste, "paste");
+            this.addCommand(CLIPBOARD_MENU.selectAll, "selectAll");
+        }
+
+        /**
+         * Shows the menu above the touched point, kept inside the screen.
+         * @param {number} x - Screen x-coordinate of the touch.
+         * @param {number} y - Screen y-coordinate of the touch.
+         * @param {boolean} hasSelection - Enables cut and copy when true.
+         */
+        setup(x, y, hasSelection) {
+            this._hasSelection = hasSelection;
+            this.refresh();
+            this.x = (x - this.width / 2).clamp(0, Graphics.boxWidth - this.width);
+            this.y = Math.max(0, y - this.height - 24);
+            this.select(-1);
+            this.show();
+            this.activate();
+        }
+
+        /**
+         * Closes the menu when the player touches anywhere else.
+         */
+        update() {
+            super.update();
+            if (
+                this.active &&
+                TouchInput.isTriggered() &&
+                !this.isTouchedInsideFrame()
+            ) {
+                this.hide();
+                this.deactivate();
+            }
+        }
+
+        /**
+         * Disables keyboard handling so typing does not pick a command.
+         */
+        processHandling() {
+            // Intentionally empty: the menu is used with touch only
+        }
+
+        processCursorMove() {
+            // Intentionally empty: the menu is used with touch only
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Window for Virtual Keyboard
+    //-------------------------------------------------------------------------
+
+    class Window_VirtualKeyboard extends Window_Selectable {
+        /**
+         * Creates the hidden on-screen keyboard at the bottom of the screen.
+         * @param {Window_TextInput} inputWindow - The window the keys type into.
+         */
+        constructor(inputWindow) {
+            const width = Graphics.boxWidth * INPUT_WIDTH_PERCENT;
+            super(new Rectangle((Graphics.boxWidth - width) / 2, 0, width, 0));
+            this.height = this.fittingHeight(VIRTUAL_KEYBOARD_CHAR_ROWS + 1);
+            this.y = Graphics.boxHeight - this.height;
+            this.createContents();
+            this._inputWindow = inputWindow;
+            this._pageIndex = 0;
+            this.refresh();
+            this.select(0);
+            this.hide();
+            this.deactivate();
+        }
+
+        maxCols() {
+            return VIRTUAL_KEYBOARD_COLS;
+        }
+
+        maxItems() {
+            return VIRTUAL_KEYBOARD_CHAR_CELLS + VIRTUAL_KEYBOARD_COLS;
+        }
+
+        /**
+         * Checks whether the keyboard should be shown. In automatic mode it
+         * appears when a gamepad is used and hides when the player types on
+         * a physical keyboard. Touch and mouse keep it as it is, so its keys
+         * can be clicked.
+         * @returns {boolean}
+         */
+        shouldShow() {
+            switch (VIRTUAL_KEYBOARD_MODE) {
+                case "always":
+                    return true;
+                case "auto":
+                    if (TextInputDevice.lastDevice === "gamepad") return true;
+                    if (TextInputDevice.lastDevice === "keyboard") return false;
+                    return this.visible;
+                default:
+                    return false;
+            }
+        }
+
+        /**
+         * Shows and activates the keyboard, or hides and deactivates it.
+         * @param {boolean} shown - Whether to show the keyboard.
+         */
+        setShown(shown) {
+            if (shown) {
+                this.show();
+                this.activate();
+            } else {
+                this.hide();
+                this.deactivate();
+            }
+        }
+
+        //-------------------------------------------------------------------------
+        // Layout Methods
+        //-------------------------------------------------------------------------
+
+        /**
+         * Returns the characters of the current page, one per cell.
+         * @returns {string[]}
+         */
+        pageChars() {
+            return Array.from(VIRTUAL_KEYBOARD_PAGES[this._pageIndex].chars);
+        }
+
+        /**
+         * Returns the character typed by a cell, or "" for an empty cell.
+         * @param {number} index - Index of the cell.
+         * @returns {string}
+         */
+        charAt(index) {
+            return this.pageChars()[index] || "";
+        }
+
+        /**
+         * Checks whether an index belongs to the row of special keys.
+         * @param {number} index - Index of the cell.
+         * @returns {boolean}
+         */
+        isControlIndex(index) {
+            return index >= VIRTUAL_KEYBOARD_CHAR_CELLS;
+        }
+
+        /**
+         * Returns the first cell of the key covering an index. Special keys
+         * are two cells wide.
+         * @param {number} index - Index of the cell.
+         * @returns {number}
+         */
+        keyIndex(index) {
+            if (this.isControlIndex(index)) {
+                const offset = index - VIRTUAL_KEYBOARD_CHAR_CELLS;
+                return VIRTUAL_KEYBOARD_CHAR_CELLS + offset - (offset % 2);
+            }
+            return index;
+        }
+
+        /**
+         * Returns the symbol of the special key covering an index.
+         * @param {number} index - Index of the cell.
+         * @returns {string}
+         */
+        controlSymbol(index) {
+            const offset = index - VIRTUAL_KEYBOARD_CHAR_CELLS;
+            return VIRTUAL_KEYBOARD_CONTROLS[Math.floor(offset / 2)];
+        }
+
+        /**
+         * Returns the label of a special key.
+         * @param {string} symbol - The special key symbol.
+         * @returns {string}
+         */
+        controlLabel(symbol) {
+            if (symbol === "page") {
+                const nextPage = (this._pageIndex + 1) % VIRTUAL_KEYBOARD_PAGES.length;
+                return VIRTUAL_KEYBOARD_KEYS.page.format(VIRTUAL_KEYBOARD_PAGES[nextPage].name);
+            }
+            return VIRTUAL_KEYBOARD_KEYS[symbol];
+        }
+
+        /**
+         * Widens special keys over two cells.
+         * @param {number} index - Index of the cell.
+         * @returns {Rectangle}
+         */
+        itemRect(index) {
+            if (!this.isControlIndex(index)) {
+                return super.itemRect(index);
+            }
+            const rect = super.itemRect(this.keyIndex(index));
+            rect.width = rect.width * 2 + this.colSpacing();
+            return rect;
+        }
+
+        drawItem(index) {
+            if (index !== this.keyIndex(index)) return;
+
+            const rect = this.itemLineRect(index);
+            const label = this.isControlIndex(index)
+                ? this.controlLabel(this.controlSymbol(index))
+                : this.charAt(index);
+            this.resetTextColor();
+            this.drawText(label, rect.x, rect.y, rect.width, "center");
+        }
+
+        /**
+         * Switches to another page of characters.
+         * @param {number} direction - 1 for the next page, -1 for the previous.
+         */
+        changePage(direction) {
+            const count = VIRTUAL_KEYBOARD_PAGES.length;
+            this._pageIndex = (this._pageIndex + direction + count) % count;
+            TextInputSoundManager.playCursorSound();
+            this.refresh();
+        }
+
+        //-------------------------------------------------------------------------
+        // Input Methods
+        //-------------------------------------------------------------------------
+
+        update() {
+            super.update();
+            if (this.active) {
+                if (TextInputDevice.isGamepadTriggered("pagedown")) {
+                    this.changePage(1);
+                } else if (TextInputDevice.isGamepadTriggered("pageup")) {
+                    this.changePage(-1);
                 }
-                // Clear the input after processing.
-                this._inputElement.value = "";
-                this.refresh();
             }
         }
 
         /**
-         * Cleanly removes the HTML input element and its event listeners.
+         * Only the gamepad moves the cursor, so arrow keys keep moving the
+         * text cursor on a physical keyboard.
+         * @returns {boolean}
          */
-        destroy() {
-            if (this._inputElement) {
-                this._inputElement.removeEventListener(
-                    "input",
-                    this._boundOnInputChange
-                );
-                this._inputElement.removeEventListener(
-                    "keydown",
-                    this._boundHandleKeyDown
-                );
-                document.body.removeChild(this._inputElement);
-                this._inputElement = null;
-            }
-            super.destroy();
+        isCursorMovable() {
+            return super.isCursorMovable() && TextInputDevice.lastDevice === "gamepad";
         }
 
-        /**
-         * Plays the OK sound
-         */
-        playOkSound() {
-            TextInputSoundManager.playOkSound();
+        isOkTriggered() {
+            return TextInputDevice.isGamepadRepeated("ok");
         }
 
         /**
-         * Triggers the OK button action from the scene.
+         * A click or tap types the key under it at once, whichever device
+         * moved the cursor last. Right-click cancels through the scene.
          */
-        triggerOk() {
-            const scene = SceneManager._scene;
-            if (scene && typeof scene.onInputOk === "function") {
-                scene.onInputOk();
+        processTouch() {
+            if (this.isOpenAndActive() && TouchInput.isClicked()) {
+                const hitIndex = this.hitIndex();
+                if (hitIndex >= 0) {
+                    this.select(this.keyIndex(hitIndex));
+                    this.processOk();
+                }
             }
         }
-    }
-
-    //-------------------------------------------------------------------------
-    // Window for Name Input
-    //-------------------------------------------------------------------------
-
-    class Window_NameInput extends Window_TextInput {
-        initialize(x, y, width, height, actor, maxChars) {
-            this._actor = actor;
-            this._maxChars = maxChars;
-            super.initialize(x, y, width, height, 1); // maxLines = 1
 
-            // Set initial text to actor's current name
-            this._lines[0] = this._actor.name();
-            this._cursorX = this._lines[0].length;
+        isCancelTriggered() {
+            return TextInputDevice.isGamepadRepeated("cancel");
+        }
 
-            this.refresh();
+        /**
+         * Keys type without an "ok" handler, so OK is always enabled.
+         * @returns {boolean}
+         */
+        isOkEnabled() {
+            return true;
         }
 
-        refresh() {
-            this.contents.clear();
-            this.drawActorFace();
-            this.drawTextLines();
-            this.drawCursor();
+        /**
+         * Cancel is backspace, so it is always enabled.
+         * @returns {boolean}
+         */
+        isCancelEnabled() {
+            return true;
         }
 
-        drawActorFace() {
-            const faceWidth = ImageManager.faceWidth;
-            const faceHeight = ImageManager.faceHeight;
-            const padding = this.padding;
+        cursorDown(wrap) {
+            const index = this.index();
+            if (index + VIRTUAL_KEYBOARD_COLS < this.maxItems()) {
+                this.select(this.keyIndex(index + VIRTUAL_KEYBOARD_COLS));
+            } else if (wrap) {
+                this.select(index % VIRTUAL_KEYBOARD_COLS);
+            }
+        }
 
-            // Draw face on the left side
-            this.drawFace(
-                this._actor.faceName(),
-                this._actor.faceIndex(),
-                padding,
-                padding,
-                faceWidth,
-                faceHeight
-            );
+        cursorUp(wrap) {
+            const index = this.index();
+            if (index >= VIRTUAL_KEYBOARD_COLS) {
+                this.select(index - VIRTUAL_KEYBOARD_COLS);
+            } else if (wrap) {
+                this.select(this.keyIndex(index + VIRTUAL_KEYBOARD_CHAR_CELLS));
+            }
         }
 
-        drawTextLines() {
-            const faceWidth = ImageManager.faceWidth;
-            const padding = 8; // Reduced padding from default
-    
-            // Calculate center position for text horizontally
-            const availableWidth = this.width - (faceWidth + padding * 4);
-            const line = this._lines[0] || "";
-            const textWidth = this.textWidth(line);
-            const textStartX = faceWidth + padding * 2 + Math.max(0, (availableWidth - textWidth) / 2);
-    
-            const textY = padding;
-    
-            this.drawText(
-                line,
-                textStartX,
-                textY, // Removed extra padding
-                availableWidth,
-                'left'
-            );
+        cursorRight(wrap) {
+            const index = this.index();
+            const column = index % VIRTUAL_KEYBOARD_COLS;
+            const width = this.isControlIndex(index) ? 2 : 1;
+            if (column + width < VIRTUAL_KEYBOARD_COLS) {
+                this.select(index + width);
+            } else if (wrap) {
+                this.select(index - column);
+            }
         }
-    
-        drawCursor() {
-            if (!this._cursorVisible) return;
-    
-            const line = this._lines[this._cursorY];
-            const faceWidth = ImageManager.faceWidth;
-            const padding = 8;
-    
-            const availableWidth = this.width - (faceWidth + padding * 4);
-            const textWidth = this.textWidth(line);
-            const textStartX = faceWidth + padding * 2 + Math.max(0, (availableWidth - textWidth) / 2);
-    
-            const textY = padding;
-            const cursorX = textStartX + this.textWidth(line.substring(0, this._cursorX));
-    
-            this.contents.fillRect(
-                cursorX,
-                textY + this.lineHeight() - 2,
-                10,
-                2,
-                ColorManager.normalColor()
-            );
+
+        cursorLeft(wrap) {
+            const index = this.index();
+            const column = index % VIRTUAL_KEYBOARD_COLS;
+            if (column > 0) {
+                this.select(this.keyIndex(index - 1));
+            } else if (wrap) {
+                this.select(this.keyIndex(index + VIRTUAL_KEYBOARD_COLS - 1));
+            }
         }
 
-        processChar(char) {
-            const currentText = this._lines[0] || "";
-            if (currentText.length >= this._maxChars) {
-                TextInputSoundManager.playErrorSound(); // Play error sound
+        /**
+         * Types the selected key into the input window without closing the
+         * keyboard.
+         */
+        processOk() {
+            const index = this.index();
+            if (!this.isControlIndex(index)) {
+                const char = this.charAt(index);
+                if (char) {
+                    this._inputWindow.processChar(char);
+                } else {
+                    TextInputSoundManager.playErrorSound();
+                }
                 return;
             }
-            super.processChar(char);
-        }
 
-        isTouchedInside() {
-            const faceWidth = ImageManager.faceWidth;
-            const padding = this.padding;
-            const touchX = TouchInput.x - this.x - (faceWidth + padding * 2);
-            const touchY = TouchInput.y - this.y - this.padding;
+            switch (this.controlSymbol(index)) {
+                case "page":
+                    this.changePage(1);
+                    break;
+                case "space":
+                    this._inputWindow.processChar(" ");
+                    break;
+                case "backspace":
+                    this._inputWindow.processBackspace();
+                    break;
+                case "newLine":
+                    this._inputWindow.processNewLine();
+                    break;
+                case "ok":
+                    this._inputWindow.playOkSound();
+                    this._inputWindow.triggerOk();
+                    break;
+            }
+        }
 
-            return (
-                touchX >= 0 &&
-                touchX < this.width - (faceWidth + padding * 2) &&
-                touchY >= 0 &&
-                touchY < this.height
-            );
+        /**
+         * Deletes the character before the cursor. With nothing left to
+         * delete it cancels the input instead, if cancelling is allowed.
+         */
+        processCancel() {
+            if (this._inputWindow.inputText() === "" && this._inputWindow.isHandled("cancel")) {
+                this._inputWindow.triggerCancel();
+            } else {
+                this._inputWindow.processBackspace();
+            }
         }
     }
 
@@ -1411,10 +6812,23 @@
          * @param {number} height - Height of the button.
          */
         constructor(x, y, width, height) {
-            super(new Rectangle(x, y, width, height + 40)); // Increase height to accommodate explanation text
+            super(new Rectangle(x, y, width, height));
             this.refresh();
         }
 
+        initialize(rect) {
+            rect.height += this.helpHeight(); // Increase height to accommodate explanation text
+            super.initialize(rect);
+        }
+
+        /**
+         * Returns the height added below the button for the explanation text.
+         * @returns {number}
+         */
+        helpHeight() {
+            return 40;
+        }
+
         /**
          * Defines the command list with a checkmark icon.
          */
@@ -1430,10 +6844,26 @@
             this.drawHelpText();
         }
 
+        /**
+         * Shows a message in place of the help text, e.g. why the input
+         * failed validation. An empty string brings the help text back.
+         * @param {string} text - The message to show.
+         */
+        setErrorText(text) {
+            if (this._errorText !== text) {
+                this._errorText = text;
+                this.refresh();
+            }
+        }
+
         /**
          * Draws the explanation text below the OK button.
          */
         drawHelpText() {
+            if (this._errorText) {
+                this.drawErrorText();
+                return;
+            }
             const tempWindow = new Window_Base(new Rectangle(0, 0, 0, 0));
             const processedText =
                 tempWindow.convertEscapeCharacters(INPUT_SAVE_HELP_TEXT);
@@ -1446,6 +6876,16 @@
             this.drawTextEx(processedText, x, y, width);
         }
 
+        /**
+         * Draws the error message below the OK button in the death color.
+         */
+        drawErrorText() {
+            const y = this.itemHeight() + 10; // Position below the OK button
+            this.changeTextColor(ColorManager.deathColor());
+            this.drawText(this._errorText, 0, y, this.innerWidth, "center");
+            this.resetTextColor();
+        }
+
         /**
          * Updates the button, processing touch input only.
          */
@@ -1489,6 +6929,331 @@
         }
     }
 
+    //-------------------------------------------------------------------------
+    // Window for Cancel Button
+    //-------------------------------------------------------------------------
+
+    class Window_CancelButton extends Window_OkButton {
+        /**
+         * Defines the command list with the cancel text.
+         */
+        makeCommandList() {
+            this.addCommand(CANCEL_BUTTON_TEXT, "cancel");
+        }
+
+        /**
+         * The help text is only shown under the OK button.
+         */
+        drawHelpText() {
+            // Intentionally empty
+        }
+
+        /**
+         * Plays the cancel sound when the button is pressed.
+         */
+        playCursorSound() {
+            TextInputSoundManager.playCancelSound();
+        }
+
+        onTouchCancel() {
+            // Intentionally empty: right-click cancels through the scene
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Window for Message Input OK Button
+    //-------------------------------------------------------------------------
+
+    class Window_MessageOkButton extends Window_OkButton {
+        /**
+         * Creates the OK button to the right of a \TI input, so it can also
+         * be confirmed by touch or mouse.
+         * @param {Window_MessageTextInput} inputWindow - The input it confirms.
+         */
+        constructor(inputWindow) {
+            const x = inputWindow.x + inputWindow.width + MESSAGE_INPUT_SPACING;
+            super(x, inputWindow.y, inputWindow.okButtonWidth(), inputWindow.height);
+            this.setHandler("ok", inputWindow.triggerOk.bind(inputWindow));
+        }
+
+        /**
+         * Enter already confirms the input, so no help text is needed.
+         * @returns {number}
+         */
+        helpHeight() {
+            return 0;
+        }
+
+        drawHelpText() {
+            // Intentionally empty
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Scene and Interpreter Extension for Overlay Input
+    //-------------------------------------------------------------------------
+
+    // Freeze events, the player and timers while an overlay is open. The
+    // screen keeps going, so pictures, tints and weather still update
+    const _Scene_Map_updateMain = Scene_Map.prototype.updateMain;
+    Scene_Map.prototype.updateMain = function () {
+        if (this._textInputOverlay) {
+            $gameScreen.update();
+        } else {
+            _Scene_Map_updateMain.call(this);
+        }
+    };
+
+    const _Scene_Map_isMapTouchOk = Scene_Map.prototype.isMapTouchOk;
+    Scene_Map.prototype.isMapTouchOk = function () {
+        return !this._textInputOverlay && _Scene_Map_isMapTouchOk.call(this);
+    };
+
+    const _Scene_Map_isMenuEnabled = Scene_Map.prototype.isMenuEnabled;
+    Scene_Map.prototype.isMenuEnabled = function () {
+        return !this._textInputOverlay && _Scene_Map_isMenuEnabled.call(this);
+    };
+
+    // Freeze the battle, including time progress gauges
+    const _Scene_Battle_updateBattleProcess = Scene_Battle.prototype.updateBattleProcess;
+    Scene_Battle.prototype.updateBattleProcess = function () {
+        if (!this._textInputOverlay) {
+            _Scene_Battle_updateBattleProcess.call(this);
+        }
+    };
+
+    // The battle timer runs outside the battle process, so stop it here
+    const _Game_Timer_update = Game_Timer.prototype.update;
+    Game_Timer.prototype.update = function (sceneActive) {
+        const overlay = SceneManager._scene && SceneManager._scene._textInputOverlay;
+        _Game_Timer_update.call(this, sceneActive && !overlay);
+    };
+
+    // Close the overlay with its host, e.g. when the game returns to the title
+    const _Scene_Message_terminate = Scene_Message.prototype.terminate;
+    Scene_Message.prototype.terminate = function () {
+        _Scene_Message_terminate.call(this);
+        if (this._textInputOverlay) {
+            this._textInputOverlay.popScene();
+        }
+    };
+
+    // Wait for the overlay the way Show Text waits for the message
+    const _Game_Interpreter_updateWaitMode = Game_Interpreter.prototype.updateWaitMode;
+    Game_Interpreter.prototype.updateWaitMode = function () {
+        if (this._waitMode === "textInput") {
+            if (SceneManager._scene._textInputOverlay || this._textInputPending) {
+                return true;
+            }
+            this._waitMode = "";
+            return false;
+        }
+        return _Game_Interpreter_updateWaitMode.call(this);
+    };
+
+    //-------------------------------------------------------------------------
+    // Window_Message Extension for \TI Inline Input
+    //-------------------------------------------------------------------------
+
+    const _Window_Message_processEscapeCharacter =
+        Window_Message.prototype.processEscapeCharacter;
+    Window_Message.prototype.processEscapeCharacter = function (code, textState) {
+        if (code === "TI") {
+            // \TI[variableId] or \TI[variableId,maxChars]
+            const rest = textState.text.slice(textState.index);
+            const match = /^\[(\d+)(?:\s*,\s*(\d+))?\]/.exec(rest);
+            if (match) {
+                textState.index += match[0].length;
+                if (textState.drawing && Number(match[1]) > 0) {
+                    this.startTextInput(Number(match[1]), Number(match[2] || 0));
+                }
+            }
+        } else {
+            _Window_Message_processEscapeCharacter.call(this, code, textState);
+        }
+    };
+
+    /**
+     * Opens the inline text input and pauses the message until it is confirmed.
+     * @param {number} variableId - ID of the variable to store the text.
+     * @param {number} maxChars - Maximum characters, 0 for no limit.
+     */
+    Window_Message.prototype.startTextInput = function (variableId, maxChars) {
+        this._textInputWindow = new Window_MessageTextInput(this, variableId, maxChars);
+        this._textInputOkButton = new Window_MessageOkButton(this._textInputWindow);
+        SceneManager._scene.addWindow(this._textInputWindow);
+        SceneManager._scene.addWindow(this._textInputOkButton);
+        if (VIRTUAL_KEYBOARD_MODE !== "off") {
+            this.createTextInputKeyboard();
+        }
+    };
+
+    /**
+     * Creates the on-screen keyboard for the inline input, on the other side
+     * of the screen from the input so that neither covers the other.
+     */
+    Window_Message.prototype.createTextInputKeyboard = function () {
+        const keyboard = new Window_VirtualKeyboard(this._textInputWindow);
+        if (this._textInputWindow.y < this.y) {
+            keyboard.y = 0;
+        }
+        this._textInputKeyboard = keyboard;
+        SceneManager._scene.addWindow(keyboard);
+    };
+
+    /**
+     * Shows or hides the inline input's keyboard as the player switches devices.
+     */
+    Window_Message.prototype.updateTextInputKeyboard = function () {
+        const keyboard = this._textInputKeyboard;
+        if (keyboard && keyboard.shouldShow() !== keyboard.visible) {
+            keyboard.setShown(!keyboard.visible);
+        }
+    };
+
+    /**
+     * Checks whether the inline input's keyboard is currently shown.
+     * @returns {boolean}
+     */
+    Window_Message.prototype.isTextInputKeyboardShown = function () {
+        return !!this._textInputKeyboard && this._textInputKeyboard.visible;
+    };
+
+    /**
+     * Marks the inline text input as confirmed. It is closed on the next
+     * frame, once the key that confirmed it has finished its work.
+     */
+    Window_Message.prototype.endTextInput = function () {
+        this._textInputEnded = true;
+    };
+
+    /**
+     * Closes the inline text input so the message can go on.
+     */
+    Window_Message.prototype.closeTextInput = function () {
+        const windows = [
+            this._textInputWindow,
+            this._textInputOkButton,
+            this._textInputKeyboard
+        ];
+        for (const window of windows.filter(Boolean)) {
+            window.parent.removeChild(window);
+            window.destroy();
+        }
+        this._textInputWindow = null;
+        this._textInputOkButton = null;
+        this._textInputKeyboard = null;
+        this._textInputEnded = false;
+        // The confirming Enter also reached RPG Maker's own key handler, and
+        // a click on the OK button is still triggered, so clear them before
+        // they advance the message
+        Input.clear();
+        TouchInput.clear();
+    };
+
+    const _Window_Message_update = Window_Message.prototype.update;
+    Window_Message.prototype.update = function () {
+        if (this._textInputEnded) {
+            this.closeTextInput();
+        }
+        this.updateTextInputKeyboard();
+        _Window_Message_update.call(this);
+    };
+
+    const _Window_Message_isAnySubWindowActive =
+        Window_Message.prototype.isAnySubWindowActive;
+    Window_Message.prototype.isAnySubWindowActive = function () {
+        return (
+            !!this._textInputWindow ||
+            _Window_Message_isAnySubWindowActive.call(this)
+        );
+    };
+
+    // Stop showing text fast at the input, so it waits like \!
+    const _Window_Message_shouldBreakHere = Window_Message.prototype.shouldBreakHere;
+    Window_Message.prototype.shouldBreakHere = function (textState) {
+        return (
+            !!this._textInputWindow ||
+            _Window_Message_shouldBreakHere.call(this, textState)
+        );
+    };
+
+    //-------------------------------------------------------------------------
+    // Script Call API
+    //-------------------------------------------------------------------------
+
+    /**
+     * Opens text input from script calls and other plugins without going
+     * through a plugin command or a game variable.
+     */
+    const TextInput = {
+        /**
+         * Opens a text input, pushed as a scene or as an overlay.
+         * @param {object} [options] - Settings, see "Script Calls" in the help.
+         * @returns {Promise<{text: string, cancelled: boolean}>} Resolves when the input closes.
+         */
+        open(options = {}) {
+            return new Promise((resolve) => {
+                // Check the options before anything opens, so a mistake
+                // rejects the Promise instead of leaving a half-made scene
+                if (options.validate && typeof options.validate !== "function") {
+                    throw new TypeError(`${PLUGIN_NAME}: options.validate must be a function`);
+                }
+                if (options.layout && typeof options.layout !== "object") {
+                    throw new TypeError(`${PLUGIN_NAME}: options.layout must be an object`);
+                }
+                const variableId = Number(options.variableId || 0);
+                const label = options.label !== undefined ? String(options.label) : "Enter text:";
+                const maxLines = Number(options.maxLines || DEFAULT_MAX_LINES);
+                const sceneOptions = {
+                    cancelable: !!options.cancelable,
+                    cancelValue: null,
+                    mask: !!options.mask,
+                    allowReveal: options.allowReveal !== false,
+                    showCounter: !!options.showCounter,
+                    richText: !!options.richText,
+                    placeholder: options.placeholder || "",
+                    layout: { ...parseLayoutArgs({}), ...options.layout },
+                    defaultText: options.default !== undefined ? String(options.default) : "",
+                    cursorStart: options.cursorStart || "end",
+                    validation: {
+                        minLength: Number(options.minLength || 0),
+                        maxChars: Number(options.maxChars || 0),
+                        allowedChars: options.allowedChars || "any",
+                        customChars: options.customChars || "",
+                        pattern: parsePattern(options.pattern),
+                        message: options.validationMessage || "",
+                        custom: options.validate || null
+                    },
+                    commonEvents: parseCommonEventArgs(options),
+                    onClose: resolve
+                };
+                if (options.overlay && Scene_TextInputOverlay.canOpen()) {
+                    Scene_TextInputOverlay.open(variableId, label, maxLines, sceneOptions);
+                } else {
+                    SceneManager.push(Scene_TextInput);
+                    SceneManager.prepareNextScene(variableId, label, maxLines, sceneOptions);
+                }
+            });
+        },
+
+        /**
+         * Opens a text input and makes an interpreter wait until it closes.
+         * @param {Game_Interpreter} interpreter - Usually `this` in a Script command.
+         * @param {object} [options] - Same as TextInput.open.
+         * @returns {Promise<{text: string, cancelled: boolean}>} Resolves when the input closes.
+         */
+        wait(interpreter, options = {}) {
+            interpreter._textInputPending = true;
+            interpreter.setWaitMode("textInput");
+            return this.open(options).finally(() => {
+                interpreter._textInputPending = false;
+            });
+        }
+    };
+
+    window.TextInput = TextInput;
+
     //-------------------------------------------------------------------------
     // SceneManager Extension for Passing Parameters
     //-------------------------------------------------------------------------